@@ -9,10 +9,87 @@ function rngMulberry32(seed) {
     };
 }
 
+// Game settings, mirrored from the server's validation rules
+const GRID_SIZES = [25, 49, 100, 144];
+const MAX_START_NUMBER = 999;
+const SEQUENCE_MODES = ['asc', 'desc', 'odd-even', 'multiples', 'low-high'];
+const MIN_STEP = 2;
+const MAX_STEP = 10;
+const DEFAULT_GAME_SETTINGS = Object.freeze({ gridSize: 100, startNumber: 1, sequence: 'asc', step: 2 });
+
+function normalizeSettings(raw) {
+    const settings = { ...DEFAULT_GAME_SETTINGS };
+    if (!raw || typeof raw !== 'object') return settings;
+    const gridSize = Number(raw.gridSize);
+    if (GRID_SIZES.includes(gridSize)) settings.gridSize = gridSize;
+    const startNumber = Number(raw.startNumber);
+    if (Number.isInteger(startNumber) && startNumber >= 0 && startNumber <= MAX_START_NUMBER) {
+        settings.startNumber = startNumber;
+    }
+    if (SEQUENCE_MODES.includes(raw.sequence)) settings.sequence = raw.sequence;
+    const step = Number(raw.step);
+    if (Number.isInteger(step) && step >= MIN_STEP && step <= MAX_STEP) settings.step = step;
+    return settings;
+}
+
+// Numbers shown on the grid, ascending (the server builds the exact same list)
+function buildValues(settings) {
+    const factor = settings.sequence === 'multiples' ? settings.step : 1;
+    const values = [];
+    for (let i = 0; i < settings.gridSize; i++) values.push((settings.startNumber + i) * factor);
+    return values;
+}
+
+// Order in which the numbers must be found (mirrors the server's buildSequence)
+function buildSequence(settings) {
+    const values = buildValues(settings);
+    switch (settings.sequence) {
+        case 'desc':
+            return values.reverse();
+        case 'odd-even':
+            return values.filter(n => n % 2 !== 0).concat(values.filter(n => n % 2 === 0));
+        case 'low-high': {
+            const order = [];
+            for (let lo = 0, hi = values.length - 1; lo <= hi; lo++, hi--) {
+                order.push(values[lo]);
+                if (hi !== lo) order.push(values[hi]);
+            }
+            return order;
+        }
+        default:
+            return values;
+    }
+}
+
+// Leaderboard mode key (same format as the server's modeKey)
+function modeKey(settings) {
+    const sequence = settings.sequence === 'multiples' ? `multiples${settings.step}` : settings.sequence;
+    return `${sequence}-${settings.gridSize}`;
+}
+
+function describeSequence(settings) {
+    switch (settings.sequence) {
+        case 'desc': return 'Trouvez les nombres dans l\'ordre décroissant !';
+        case 'odd-even': return 'Trouvez les impairs, puis les pairs, dans l\'ordre croissant !';
+        case 'multiples': return `Trouvez les multiples de ${settings.step} dans l'ordre croissant !`;
+        case 'low-high': return 'Alternez : le plus petit, puis le plus grand restant !';
+        default: return 'Trouvez les nombres dans l\'ordre croissant !';
+    }
+}
+
+// Solo games get the same countdown as the default multiplayer one
+const SOLO_COUNTDOWN_MS = 3000;
+
+// How the results word each forfeitReason of a game:over
+const FORFEIT_REASONS = Object.freeze({ forfeit: 'abandon', leave: 'a quitté la salle', timeout: 'déconnexion' });
+
 class ConcentrationGame {
     constructor() {
         this.numbers = [];
-        this.currentTarget = 1;
+        this.settings = { ...DEFAULT_GAME_SETTINGS };
+        this.sequence = buildSequence(this.settings);
+        this.targetIndex = 0;
+        this.currentTarget = this.sequence[0];
         this.startTime = null;
         this.timerInterval = null;
         this.gameStarted = false;
@@ -22,18 +99,32 @@ class ConcentrationGame {
         this.isMultiplayer = false;
         this.opponentProgress = 0;
         this.myScore = 0;
-        this.opponentScore = 0;
+        this.playerScores = []; // [{id, nick, score}] server-authoritative, every player in the room
         this.myFoundNumbers = new Set();
         this.opponentFoundNumbers = new Set();
         this.myNick = null;
-        this.opponentNick = null;
+        this.members = []; // latest room member list from the server
+        this.roomCapacity = 2;
         this.isHost = false;
         this.roomCode = null;
         this.roomId = null;
+        this.isSpectator = false; // watching a room read-only via room:spectate
+        this.series = null; // {bestOf, games, wins: [{id, nick, wins}], winner} from the server
+        this.rematchAccepted = []; // players who asked for / accepted the pending rematch
+        this.disconnectedPlayers = {}; // id -> {nick, deadline} of opponents inside their reconnection window
+        this.gamePaused = false; // set while a 'pause' room waits for a disconnected player
+        this.disconnectInterval = null;
         this.ready = false;
         this.mpConnected = false;
         this.pendingStart = null; // {seed, startAt}
         this.pendingReadyState = null; // Track pending ready state changes
+        this.scoreboardTab = 'personal';
+        this.soloRun = null; // {runId, seed, daily?} issued by the server for ranked solo games
+        this.daily = null; // today's challenge {date, seed, settings, attempted} from GET /daily
+        this.clickLog = []; // [{t, n, i}] finds of the current solo run, replayed server-side
+        this.ai = null; // AiOpponent of a "VS ORDI" game, which then drives the opponent UI locally
+        this.aiFindStats = {}; // player id -> {total, count}: time taken per find, for the results
+        this.aiLastFindAt = null;
         
         this.initializeElements();
         this.bindEvents();
@@ -59,23 +150,44 @@ class ConcentrationGame {
         this.resetBtn = document.getElementById('resetBtn');
         this.scoresBtn = document.getElementById('scoresBtn');
         this.leaveSessionBtn = document.getElementById('leaveSessionBtn');
+        this.forfeitBtn = document.getElementById('forfeitBtn');
+        this.disconnectBanner = document.getElementById('disconnectBanner');
         this.playAgainBtn = document.getElementById('playAgainBtn');
         this.closeScoresBtn = document.getElementById('closeScoresBtn');
         
         this.gameGrid = document.getElementById('gameGrid');
         this.currentTargetEl = document.getElementById('currentTarget');
+        this.modeHintEl = document.getElementById('modeHint');
         this.timerEl = document.getElementById('timer');
         this.progressEl = document.getElementById('progress');
         this.gameCompleteEl = document.getElementById('gameComplete');
         this.finalTimeEl = document.getElementById('finalTime');
         this.scoreboardEl = document.getElementById('scoreboard');
         this.scoresListEl = document.getElementById('scoresList');
+        this.personalScoresTab = document.getElementById('personalScoresTab');
+        this.globalScoresTab = document.getElementById('globalScoresTab');
+        this.globalFiltersEl = document.getElementById('globalFilters');
+        this.globalPeriodEl = document.getElementById('globalPeriod');
+        this.globalModeEl = document.getElementById('globalMode');
+        this.gameResultsEl = document.getElementById('gameResults');
+        this.resultsTitleEl = document.getElementById('resultsTitle');
+        this.resultsSummaryEl = document.getElementById('resultsSummary');
+        this.resultsListEl = document.getElementById('resultsList');
+        this.closeResultsBtn = document.getElementById('closeResultsBtn');
+        this.watchReplayBtn = document.getElementById('watchReplayBtn');
+        this.seriesSummaryEl = document.getElementById('seriesSummary');
+        this.rematchStatusEl = document.getElementById('rematchStatus');
+        this.rematchBtn = document.getElementById('rematchBtn');
+        this.lastReplayId = null;
+        this.replayViewer = new ReplayViewer({
+            buildGrid: (settings, seed) => this.buildGrid(settings, seed),
+            formatTime: (seconds) => this.formatTime(seconds),
+            getViewerId: () => this.mp?.sessionId || null,
+        });
         
         // Multiplayer score elements
         this.multiplayerScoresEl = document.getElementById('multiplayerScores');
-        this.myScoreEl = document.getElementById('myScore');
-        this.opponentScoreEl = document.getElementById('opponentScore');
-        this.opponentScoreLabelEl = document.getElementById('opponentScoreLabel');
+        this.liveLeaderboardEl = document.getElementById('liveLeaderboard');
 
         // Modal elements
         this.modal = document.getElementById('gameModeModal');
@@ -84,7 +196,27 @@ class ConcentrationGame {
         this.multiTab = document.getElementById('multiTab');
         this.soloPanel = document.getElementById('soloPanel');
         this.multiPanel = document.getElementById('multiPanel');
+        this.dailyTab = document.getElementById('dailyTab');
+        this.dailyPanel = document.getElementById('dailyPanel');
         this.startSoloBtn = document.getElementById('startSoloBtn');
+        this.startDailyBtn = document.getElementById('startDailyBtn');
+        this.dailyDateEl = document.getElementById('dailyDate');
+        this.dailyStatusEl = document.getElementById('dailyStatus');
+        this.dailyLeaderboardEl = document.getElementById('dailyLeaderboard');
+        this.soloGridSize = document.getElementById('soloGridSize');
+        this.soloStartNumber = document.getElementById('soloStartNumber');
+        this.soloSequence = document.getElementById('soloSequence');
+        this.soloStep = document.getElementById('soloStep');
+        this.soloStepField = document.getElementById('soloStepField');
+        this.aiTab = document.getElementById('aiTab');
+        this.aiPanel = document.getElementById('aiPanel');
+        this.startAiBtn = document.getElementById('startAiBtn');
+        this.aiLevel = document.getElementById('aiLevel');
+        this.aiGridSize = document.getElementById('aiGridSize');
+        this.aiStartNumber = document.getElementById('aiStartNumber');
+        this.aiSequence = document.getElementById('aiSequence');
+        this.aiStep = document.getElementById('aiStep');
+        this.aiStepField = document.getElementById('aiStepField');
         
         // New MP step-by-step UI
         this.mpTypeSelector = document.getElementById('mpTypeSelector');
@@ -103,17 +235,32 @@ class ConcentrationGame {
         // Room actions
         this.createRoomBtn = document.getElementById('createRoomBtn');
         this.joinRoomBtn = document.getElementById('joinRoomBtn');
+        this.spectateRoomBtn = document.getElementById('spectateRoomBtn');
+        this.spectatorBanner = document.getElementById('spectatorBanner');
         this.createNameInput = document.getElementById('createNameInput');
         this.joinNameInput = document.getElementById('joinNameInput');
+        this.roomCapacitySelect = document.getElementById('roomCapacitySelect');
+        this.roomCountdownSelect = document.getElementById('roomCountdownSelect');
+        this.roomBestOfSelect = document.getElementById('roomBestOfSelect');
+        this.roomDisconnectSelect = document.getElementById('roomDisconnectSelect');
+        this.countdownOverlay = document.getElementById('countdownOverlay');
+        this.countdownValueEl = document.getElementById('countdownValue');
+        this.countdownInterval = null;
+        this.countdownHideTimer = null;
+        this.roomGridSize = document.getElementById('roomGridSize');
+        this.roomStartNumber = document.getElementById('roomStartNumber');
+        this.roomSequence = document.getElementById('roomSequence');
+        this.roomStep = document.getElementById('roomStep');
+        this.roomStepField = document.getElementById('roomStepField');
         this.roomCodeInput = document.getElementById('roomCodeInput');
         
         // Room lobby
         this.roomCodeDisplay = document.getElementById('roomCodeDisplay');
         this.displayedRoomCode = document.getElementById('displayedRoomCode');
         this.copyCodeBtn = document.getElementById('copyCodeBtn');
-        this.myStatus = document.getElementById('myStatus');
-        this.opponentName = document.getElementById('opponentName');
-        this.opponentReady = document.getElementById('opponentReady');
+        this.lobbyPlayerCount = document.getElementById('lobbyPlayerCount');
+        this.lobbySettings = document.getElementById('lobbySettings');
+        this.lobbyPlayerList = document.getElementById('lobbyPlayerList');
         this.readyBtn = document.getElementById('readyBtn');
         this.startMatchBtn = document.getElementById('startMatchBtn');
         this.lobbyStatus = document.getElementById('lobbyStatus');
@@ -145,9 +292,19 @@ class ConcentrationGame {
         this.scoresBtn.addEventListener('click', () => this.showScoreboard());
         this.playAgainBtn.addEventListener('click', () => this.resetGame());
         this.closeScoresBtn.addEventListener('click', () => this.hideScoreboard());
+        this.closeResultsBtn.addEventListener('click', () => this.closeResults());
+        this.watchReplayBtn.addEventListener('click', () => this.watchReplay());
+        this.rematchBtn.addEventListener('click', () => this.requestRematch());
+        this.personalScoresTab.addEventListener('click', () => this.switchScoreboardTab('personal'));
+        this.globalScoresTab.addEventListener('click', () => this.switchScoreboardTab('global'));
+        this.globalPeriodEl.addEventListener('change', () => this.renderGlobalScores());
+        this.globalModeEl.addEventListener('change', () => this.renderGlobalScores());
         if (this.leaveSessionBtn) {
             this.leaveSessionBtn.addEventListener('click', () => this.quitSession());
         }
+        if (this.forfeitBtn) {
+            this.forfeitBtn.addEventListener('click', () => this.forfeitGame());
+        }
 
         // Modal controls
         this.closeModal.addEventListener('click', () => this.hideModal());
@@ -157,16 +314,22 @@ class ConcentrationGame {
         
         // Tab controls
         this.soloTab.addEventListener('click', () => this.switchTab('solo'));
+        this.aiTab.addEventListener('click', () => this.switchTab('ai'));
         this.multiTab.addEventListener('click', () => this.switchTab('multi'));
+        this.dailyTab.addEventListener('click', () => this.switchTab('daily'));
         
-        // Solo mode
-        this.startSoloBtn.addEventListener('click', () => {
-            this.hideModal();
-            this.isMultiplayer = false;
-            this.updateMultiplayerScores(); // Hide multiplayer scores in solo mode
-            this.startGame();
+        // Settings forms: N is only relevant to the multiples mode
+        [[this.soloSequence, this.soloStepField], [this.aiSequence, this.aiStepField], [this.roomSequence, this.roomStepField]].forEach(([select, field]) => {
+            select?.addEventListener('change', () => {
+                field?.classList.toggle('hidden', select.value !== 'multiples');
+            });
         });
         
+        // Solo mode
+        this.startSoloBtn.addEventListener('click', () => this.startSoloGame());
+        this.startAiBtn.addEventListener('click', () => this.startAiGame());
+        this.startDailyBtn.addEventListener('click', () => this.startDailyGame());
+        
         // MP Step navigation
         this.backToTypes.addEventListener('click', () => this.showMpStep('type'));
         this.backFromRoom.addEventListener('click', () => this.leaveMpRoom());
@@ -182,6 +345,7 @@ class ConcentrationGame {
         // Room actions
         this.createRoomBtn.addEventListener('click', () => this.createMpRoom());
         this.joinRoomBtn.addEventListener('click', () => this.joinMpRoom());
+        this.spectateRoomBtn.addEventListener('click', () => this.spectateMpRoom());
         this.copyCodeBtn.addEventListener('click', () => this.copyRoomCode());
         
         // Lobby actions
@@ -192,16 +356,256 @@ class ConcentrationGame {
         this.cancelSearch.addEventListener('click', () => this.cancelMpSearch());
     }
 
-    generateNumbers(seed = null) {
-        this.numbers = [];
-        for (let i = 1; i <= 100; i++) {
-            this.numbers.push(i);
+    async startSoloGame() {
+        this.hideModal();
+        this.stopAiOpponent();
+        this.isMultiplayer = false;
+        this.settings = this.readSettingsForm(this.soloGridSize, this.soloStartNumber, this.soloSequence, this.soloStep);
+        this.updateMultiplayerScores(); // Hide multiplayer scores in solo mode
+        // Ranked games are played on a server-issued seed; offline, the game is simply unranked
+        const run = await this.requestSoloRun(this.settings);
+        const startAt = Date.now() + SOLO_COUNTDOWN_MS;
+        this.startGame(run ? { seed: run.seed, startAt } : { startAt });
+        this.soloRun = run;
+    }
+
+    // Offline head-to-head: the computer races for the same numbers on the same grid. Unranked,
+    // so the seed is drawn here; the opponent takes its random draws from it too.
+    startAiGame(level = this.aiLevel.value) {
+        this.hideModal();
+        this.resetGame();
+        this.isMultiplayer = false;
+        this.series = null;
+        this.settings = this.readSettingsForm(this.aiGridSize, this.aiStartNumber, this.aiSequence, this.aiStep);
+        const seed = Math.floor(Math.random() * 0x100000000);
+        const startAt = Date.now() + SOLO_COUNTDOWN_MS;
+        this.startGame({ seed, startAt });
+        this.ai = new AiOpponent({
+            level,
+            numbers: this.numbers,
+            sequence: this.sequence,
+            seed,
+            onFind: (number) => this.recordAiGameFind(AI_PLAYER_ID, number)
+        });
+        this.playerScores = [
+            { id: LOCAL_PLAYER_ID, nick: this.myNick, score: 0 },
+            { id: AI_PLAYER_ID, nick: this.ai.nick, score: 0 }
+        ];
+        this.aiFindStats = {};
+        this.aiLastFindAt = null;
+        this.updateMultiplayerScores();
+        this.ai.seek(0, startAt);
+    }
+
+    // A find of the player or the computer in a "VS ORDI" game, applied the way
+    // onOpponentProgress applies the server's: first to find the current target scores it
+    recordAiGameFind(playerId, number) {
+        if (!this.ai || this.gameComplete || number !== this.currentTarget) return;
+        const card = this.gameGrid.querySelector(`.number-card[data-number="${number}"]`);
+        if (playerId === LOCAL_PLAYER_ID) {
+            card?.classList.add('my-found');
+            this.myFoundNumbers.add(number);
+        } else {
+            this.markOpponentFound(number);
+            this.opponentFoundNumbers.add(number);
+        }
+
+        const now = Date.now();
+        const stats = this.aiFindStats[playerId] || (this.aiFindStats[playerId] = { total: 0, count: 0 });
+        stats.total += now - (this.aiLastFindAt ?? this.startTime);
+        stats.count++;
+        this.aiLastFindAt = now;
+        const scorer = this.playerScores.find(p => p.id === playerId);
+        if (scorer) scorer.score++;
+        this.myScore = this.playerScores.find(p => p.id === LOCAL_PLAYER_ID)?.score || 0;
+
+        this.setTargetIndex(this.targetIndex + 1);
+        this.updateProgress();
+        this.updateMultiplayerScores();
+        if (this.isSequenceComplete()) {
+            this.finishAiGame();
+        } else {
+            this.ai.seek(this.targetIndex);
         }
+    }
+
+    // The results of a "VS ORDI" game stay open with the start button back: a solo or daily
+    // game started from there must not keep routing clicks to the stopped opponent
+    stopAiOpponent() {
+        if (!this.ai) return;
+        this.ai.stop();
+        this.ai = null;
+    }
+
+    // Same results screen as a multiplayer game; avgFindMs as the server computes it
+    finishAiGame() {
+        this.ai.stop();
+        this.completeGame();
+        const players = this.playerScores
+            .map(p => {
+                const stats = this.aiFindStats[p.id];
+                return { ...p, avgFindMs: stats ? Math.round(stats.total / stats.count) : null };
+            })
+            .sort((a, b) => b.score - a.score);
+        const tie = players[0].score === players[1].score;
+        this.showGameResults({
+            winner: tie ? null : players[0].id,
+            tie,
+            winners: tie ? players.map(p => p.id) : [players[0].id],
+            result: { players, durationMs: Date.now() - this.startTime },
+            reason: 'complete'
+        });
+    }
+
+    async requestSoloRun(settings) {
+        if (!this.mp?.sessionId) return null;
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 2000);
+        try {
+            const res = await fetch(`${this.detectHttpUrl()}/solo/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...this.mp.credentials(), settings }),
+                signal: controller.signal
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            return { runId: data.runId, seed: data.seed };
+        } catch (e) {
+            console.warn('⚠️ Partie solo non classée (serveur injoignable):', e);
+            return null;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    async loadDailyChallenge() {
+        const params = new URLSearchParams();
+        if (this.mp?.sessionId) params.set('sessionId', this.mp.sessionId);
+        try {
+            const res = await fetch(`${this.detectHttpUrl()}/daily?${params}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            this.daily = await res.json();
+        } catch (e) {
+            console.warn('⚠️ Défi du jour indisponible:', e);
+            this.daily = null;
+        }
+        this.updateDailyPanel();
+        this.renderDailyLeaderboard();
+    }
+
+    updateDailyPanel() {
+        if (!this.daily) {
+            this.dailyDateEl.textContent = 'La même grille pour tout le monde, chaque jour.';
+            this.dailyStatusEl.textContent = '📶 Défi indisponible hors ligne';
+            this.startDailyBtn.disabled = true;
+            return;
+        }
+        const date = new Date(`${this.daily.date}T00:00:00Z`).toLocaleDateString('fr-FR', { timeZone: 'UTC', weekday: 'long', day: 'numeric', month: 'long' });
+        this.dailyDateEl.textContent = `Défi du ${date}`;
+        this.startDailyBtn.disabled = false;
+        if (this.daily.attempted) {
+            this.dailyStatusEl.textContent = '✅ Tentative classée déjà jouée aujourd\'hui';
+            this.startDailyBtn.textContent = '🔁 S\'ENTRAÎNER (NON CLASSÉ)';
+        } else {
+            this.dailyStatusEl.textContent = '';
+            this.startDailyBtn.textContent = '🚀 RELEVER LE DÉFI';
+        }
+    }
+
+    async renderDailyLeaderboard() {
+        if (!this.daily) {
+            this.dailyLeaderboardEl.innerHTML = '';
+            return;
+        }
+        const params = new URLSearchParams({ date: this.daily.date, limit: '10' });
+        if (this.mp?.sessionId) params.set('sessionId', this.mp.sessionId);
+        try {
+            const res = await fetch(`${this.detectHttpUrl()}/daily/leaderboard?${params}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const { entries } = await res.json();
+            this.renderLeaderboardEntries(this.dailyLeaderboardEl, entries || []);
+        } catch (e) {
+            this.dailyLeaderboardEl.innerHTML = '';
+        }
+    }
+
+    async startDailyGame() {
+        if (!this.mp?.sessionId) return;
+        let run = null;
+        try {
+            const res = await fetch(`${this.detectHttpUrl()}/daily/start`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.mp.credentials())
+            });
+            const data = await res.json();
+            if (res.ok) {
+                run = data;
+            } else if (res.status === 409) {
+                // Ranked attempt already used: same grid, unranked
+                this.daily = { date: data.date, seed: data.seed, settings: data.settings, attempted: true };
+            } else {
+                throw new Error(data.error || `HTTP ${res.status}`);
+            }
+        } catch (e) {
+            console.warn('⚠️ Impossible de lancer le défi du jour:', e);
+            if (!this.daily) {
+                alert('Le défi du jour est indisponible hors ligne');
+                return;
+            }
+        }
+
+        const challenge = run || this.daily;
+        this.hideModal();
+        this.stopAiOpponent();
+        this.isMultiplayer = false;
+        this.settings = normalizeSettings(challenge.settings);
+        this.updateMultiplayerScores();
+        this.startGame({ seed: challenge.seed, startAt: Date.now() + SOLO_COUNTDOWN_MS });
+        this.soloRun = run ? { runId: run.runId, seed: run.seed, daily: run.date } : null;
+        if (run && this.daily) this.daily.attempted = true;
+    }
+
+    readSettingsForm(gridSizeEl, startNumberEl, sequenceEl, stepEl) {
+        return normalizeSettings({
+            gridSize: parseInt(gridSizeEl?.value, 10),
+            startNumber: parseInt(startNumberEl?.value, 10),
+            sequence: sequenceEl?.value,
+            step: parseInt(stepEl?.value, 10)
+        });
+    }
+
+    // Rebuild the expected order from the current settings and move back to its first number
+    applySettings(settings) {
+        this.settings = normalizeSettings(settings);
+        this.sequence = buildSequence(this.settings);
+        this.setTargetIndex(0);
+        if (this.modeHintEl) this.modeHintEl.textContent = describeSequence(this.settings);
+    }
+
+    setTargetIndex(index) {
+        this.targetIndex = Math.max(0, Math.min(index, this.sequence.length));
+        this.currentTarget = this.targetIndex < this.sequence.length ? this.sequence[this.targetIndex] : null;
+    }
+
+    isSequenceComplete() {
+        return this.targetIndex >= this.sequence.length;
+    }
+
+    generateNumbers(seed = null) {
+        this.numbers = this.buildGrid(this.settings, seed);
+    }
+
+    // Same seed + settings -> same grid as the server and the other players
+    buildGrid(settings, seed = null) {
+        const values = buildValues(settings);
         if (seed == null) {
-            this.shuffleArray(this.numbers);
+            this.shuffleArray(values);
         } else {
-            this.seededShuffle(this.numbers, seed >>> 0);
+            this.seededShuffle(values, seed >>> 0);
         }
+        return values;
     }
 
     shuffleArray(array) {
@@ -221,11 +625,14 @@ class ConcentrationGame {
 
     createGrid() {
         this.gameGrid.innerHTML = '';
+        // Grids are square: 25 -> 5 columns, 144 -> 12 columns
+        this.gameGrid.style.setProperty('--grid-cols', Math.round(Math.sqrt(this.numbers.length)) || 10);
         this.numbers.forEach((number, index) => {
             const card = document.createElement('button');
             card.className = 'number-card';
             card.textContent = number;
             card.dataset.number = number;
+            card.dataset.index = index;
             card.style.setProperty('--index', index);
             card.addEventListener('click', () => this.handleCardClick(card));
             
@@ -234,13 +641,16 @@ class ConcentrationGame {
     }
 
     handleCardClick(card) {
-        if (!this.gameStarted || this.gameComplete) return;
+        if (!this.gameStarted || this.gameComplete || this.isSpectator || this.gamePaused) return;
         // Prevent double/triple-click races on already-processed cards
         if (card.disabled || card.classList.contains('my-found') || card.classList.contains('opponent-found') || card.classList.contains('found')) {
             return;
         }
         
+        const clickedAt = this.now();
         const clickedNumber = parseInt(card.dataset.number);
+        // Against the computer the find is settled at once, before it can take the number
+        const vsAi = !!this.ai;
         
         if (clickedNumber === this.currentTarget) {
             // Immediately disable this card to avoid duplicate processing
@@ -252,7 +662,12 @@ class ConcentrationGame {
             this.createSuccessParticles(card);
             // In multiplayer, notify the server immediately to minimize race windows
             if (this.isMultiplayer && this.mpConnected) {
-                this.mp?.sendProgress(clickedNumber);
+                this.mp?.sendProgress(clickedNumber, clickedAt);
+            } else if (vsAi) {
+                this.recordAiGameFind(LOCAL_PLAYER_ID, clickedNumber);
+            } else if (!this.isMultiplayer) {
+                // Timestamp the find now, not after the animation, for the server-side replay
+                this.clickLog.push({ t: clickedAt - this.startTime, n: clickedNumber, i: parseInt(card.dataset.index, 10) });
             }
             
             setTimeout(() => {
@@ -260,18 +675,20 @@ class ConcentrationGame {
                 
                 if (this.isMultiplayer && this.mpConnected) {
                     // No local changes here; wait for server broadcast to update UI/state
+                } else if (vsAi) {
+                    // Already applied on click
                 } else {
                     // In solo mode, handle progression locally
                     card.classList.add('found');
                     // Use the clicked number; previous code referenced an undefined variable
                     this.myFoundNumbers.add(clickedNumber);
-                    this.currentTarget++;
+                    this.setTargetIndex(this.targetIndex + 1);
                     this.updateProgress();
                     
                     // Save game state after each progress
                     this.saveGameState();
                     
-                    if (this.currentTarget > 100) {
+                    if (this.isSequenceComplete()) {
                         this.completeGame();
                     }
                 }
@@ -288,31 +705,81 @@ class ConcentrationGame {
     }
 
     updateProgress() {
-        this.currentTargetEl.textContent = this.currentTarget;
-        this.progressEl.textContent = `${this.currentTarget - 1}/100`;
+        this.currentTargetEl.textContent = this.isSequenceComplete() ? '✓' : this.currentTarget;
+        this.progressEl.textContent = `${this.targetIndex}/${this.sequence.length}`;
+    }
+
+    // Player whose finds are drawn as "mine": ourselves, or the first player when spectating
+    getFocusId() {
+        if (this.isSpectator) return this.members[0]?.id || null;
+        return this.localPlayerId();
+    }
+
+    // Our id in player lists: the session's, or a fixed one against the computer
+    localPlayerId() {
+        if (this.ai) return LOCAL_PLAYER_ID;
+        return this.mp?.sessionId || null;
     }
 
     updateMultiplayerScores() {
-        if (this.isMultiplayer && this.multiplayerScoresEl) {
+        if ((this.isMultiplayer || this.ai) && this.multiplayerScoresEl) {
             this.multiplayerScoresEl.classList.remove('hidden');
-            this.myScoreEl.textContent = this.myScore;
-            this.opponentScoreEl.textContent = this.opponentScore;
-            
-            // Update labels with player names if available
-            const myLabel = this.multiplayerScoresEl.querySelector('.player-score.me .score-label');
-            const opponentLabel = this.multiplayerScoresEl.querySelector('.player-score.opponent .score-label');
-            
-            if (myLabel) {
-                myLabel.textContent = this.myNick || 'VOUS';
-            }
-            if (opponentLabel) {
-                opponentLabel.textContent = this.opponentNick || 'ADVERSAIRE';
-            }
+            this.renderLiveLeaderboard();
         } else if (this.multiplayerScoresEl) {
             this.multiplayerScoresEl.classList.add('hidden');
         }
     }
 
+    // Players sorted by score; before the first progress event, fall back to the room members
+    getRankedPlayers() {
+        const myId = this.getFocusId();
+        const source = this.playerScores.length > 0
+            ? this.playerScores
+            : this.members.map(m => ({ id: m.id, nick: m.nick, score: m.id === myId ? this.myScore : 0 }));
+        return source
+            .map(p => ({
+                id: p.id,
+                nick: p.nick || this.members.find(m => m.id === p.id)?.nick || null,
+                score: p.score || 0,
+                isMe: p.id === myId
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    renderLiveLeaderboard() {
+        if (!this.liveLeaderboardEl) return;
+        const ranked = this.getRankedPlayers();
+        this.liveLeaderboardEl.innerHTML = '';
+        ranked.forEach((player, index) => {
+            const item = document.createElement('li');
+            item.className = 'player-score' + (player.isMe ? ' me' : '') + (index === 0 && player.score > 0 ? ' leader' : '');
+
+            const rank = document.createElement('span');
+            rank.className = 'live-rank';
+            rank.textContent = `#${index + 1}`;
+
+            const label = document.createElement('span');
+            label.className = 'score-label';
+            label.textContent = player.isMe && !this.isSpectator ? (this.myNick || 'VOUS') : (player.nick || 'ADVERSAIRE');
+
+            const value = document.createElement('span');
+            value.className = 'score-value';
+            value.textContent = player.score;
+
+            item.append(rank, label, value);
+            this.liveLeaderboardEl.appendChild(item);
+        });
+    }
+
+    applyScores(scores) {
+        if (!Array.isArray(scores)) return;
+        this.playerScores = scores
+            .filter(s => s && typeof s.id === 'string')
+            .map(s => ({ id: s.id, nick: s.nick || null, score: typeof s.score === 'number' ? s.score : 0 }));
+        const me = this.playerScores.find(s => s.id === this.mp?.sessionId);
+        if (me) this.myScore = me.score;
+    }
+
     markOpponentFound(number) {
         // Find the card with this number and mark it as opponent-found
         const cards = this.gameGrid.querySelectorAll('.number-card');
@@ -327,9 +794,9 @@ class ConcentrationGame {
         // Update any connection-related UI elements
         // This method can be extended to show connection status, ping, etc.
         if (this.isMultiplayer && this.lobbyStatus && this.gameStarted) {
-            const myName = this.myNick || 'Vous';
-            const opponentName = this.opponentNick || 'Adversaire';
-            this.lobbyStatus.textContent = `🎯 En jeu - ${myName}: ${this.myScore} | ${opponentName}: ${this.opponentScore}`;
+            const ranked = this.getRankedPlayers();
+            const myRank = ranked.findIndex(p => p.isMe) + 1;
+            this.lobbyStatus.textContent = `🎯 En jeu - ${this.myNick || 'Vous'}: ${this.myScore} (#${myRank || '-'}/${ranked.length})`;
         }
     }
 
@@ -338,26 +805,29 @@ class ConcentrationGame {
         const seed = typeof options.seed === 'number' ? options.seed : null;
         const startAt = typeof options.startAt === 'number' ? options.startAt : null;
 
+        this.applySettings(this.settings);
         this.generateNumbers(seed);
         this.createGrid();
-        this.currentTarget = 1;
+        this.clickLog = [];
         this.gameComplete = false;
         this.startBtn.style.display = 'none';
         this.gameCompleteEl.classList.add('hidden');
         this.updateProgress();
 
         if (startAt) {
-            // Schedule synchronized start
+            // Synchronized start: the grid stays hidden behind the countdown until startAt
             this.startTime = startAt;
             this.gameStarted = false; // block clicks until start
-            const delay = Math.max(0, startAt - Date.now());
-            setTimeout(() => {
+            this.runCountdown(startAt, () => {
                 this.gameStarted = true;
                 this.startTimer();
-            }, delay);
+                if (!this.isMultiplayer) {
+                    this.saveGameState();
+                }
+            });
         } else {
             this.gameStarted = true;
-            this.startTime = Date.now();
+            this.startTime = this.now();
             this.startTimer();
             // Save initial game state for solo games
             if (!this.isMultiplayer) {
@@ -367,6 +837,46 @@ class ConcentrationGame {
         this.updateMpVisibility();
     }
 
+    runCountdown(startAt, onGo) {
+        this.cancelCountdown();
+        this.gameGrid.classList.add('concealed');
+        this.countdownOverlay.classList.remove('hidden');
+        let shown = null;
+        const tick = () => {
+            const remaining = startAt - this.now();
+            if (remaining <= 0) {
+                this.cancelCountdown();
+                this.countdownValueEl.textContent = 'GO !';
+                this.countdownOverlay.classList.remove('hidden');
+                this.playSound('go');
+                this.countdownHideTimer = setTimeout(() => this.countdownOverlay.classList.add('hidden'), 500);
+                onGo();
+                return;
+            }
+            const seconds = Math.ceil(remaining / 1000);
+            if (seconds !== shown) {
+                shown = seconds;
+                this.countdownValueEl.textContent = seconds;
+                // Restart the pop animation on every new digit
+                this.countdownValueEl.classList.remove('pop');
+                void this.countdownValueEl.offsetWidth;
+                this.countdownValueEl.classList.add('pop');
+                this.playSound('tick');
+            }
+        };
+        this.countdownInterval = setInterval(tick, 50);
+        tick();
+    }
+
+    cancelCountdown() {
+        clearInterval(this.countdownInterval);
+        clearTimeout(this.countdownHideTimer);
+        this.countdownInterval = null;
+        this.countdownHideTimer = null;
+        this.countdownOverlay.classList.add('hidden');
+        this.gameGrid.classList.remove('concealed');
+    }
+
     // Render helper for resume flows (alias to createGrid)
     renderGrid() {
         this.createGrid();
@@ -386,13 +896,18 @@ class ConcentrationGame {
     }
 
     resetGame() {
+        this.cancelCountdown();
+        this.clearDisconnects();
+        this.stopAiOpponent();
         this.gameStarted = false;
         this.gameComplete = false;
-        this.currentTarget = 1;
+        this.setTargetIndex(0);
         this.myScore = 0;
-        this.opponentScore = 0;
+        this.playerScores = [];
         this.myFoundNumbers.clear();
         this.opponentFoundNumbers.clear();
+        this.soloRun = null;
+        this.clickLog = [];
         // Don't reset nicknames as they persist through games
         
         // Clear saved game state when resetting
@@ -400,6 +915,7 @@ class ConcentrationGame {
         
         this.startBtn.style.display = 'inline-block';
         this.gameCompleteEl.classList.add('hidden');
+        this.gameResultsEl.classList.add('hidden');
         this.hideScoreboard();
         
         this.gameGrid.innerHTML = '';
@@ -421,10 +937,15 @@ class ConcentrationGame {
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
     }
 
+    // Multiplayer times (startAt, timers) are in server time; solo games use the local clock
+    now() {
+        return this.isMultiplayer && this.mp ? this.mp.serverNow() : Date.now();
+    }
+
     startTimer() {
         this.timerInterval = setInterval(() => {
-            if (this.gameStarted && !this.gameComplete) {
-                const now = Date.now();
+            if (this.gameStarted && !this.gameComplete && !this.gamePaused) {
+                const now = this.now();
                 const elapsed = Math.max(0, (now - this.startTime) / 1000);
                 this.timerEl.textContent = this.formatTime(elapsed);
             }
@@ -439,20 +960,178 @@ class ConcentrationGame {
         // Clear saved game state since game is complete
         this.clearGameState();
         
-        const finalTime = (Date.now() - this.startTime) / 1000;
+        const finalTime = (this.now() - this.startTime) / 1000;
         this.finalTimeEl.textContent = this.formatTime(finalTime);
         
-        this.createVictoryFireworks();
-        
-        setTimeout(() => {
-            this.gameCompleteEl.classList.remove('hidden');
-        }, 1000);
+        // In multiplayer and against the computer, the results screen replaces the solo banner
+        if (!this.isMultiplayer && !this.ai) {
+            this.createVictoryFireworks();
+            setTimeout(() => {
+                this.gameCompleteEl.classList.remove('hidden');
+            }, 1000);
+        }
         
-        // In multiplayer, winner is announced by server; still save personal time
-        this.saveScore(finalTime);
+        // In multiplayer, winner is announced by server; still save personal time.
+        // Not against the computer: the player did not find every number
+        if (!this.isSpectator && !this.ai) this.saveScore(finalTime);
+        if (!this.isMultiplayer && !this.ai) {
+            this.submitGlobalScore();
+        }
         this.startBtn.style.display = 'inline-block';
     }
 
+    showGameResults({ winner, tie, winners, result, replayId, series, ratings, reason, forfeited }) {
+        const myId = this.localPlayerId();
+        const iWon = !tie && winner === myId;
+        const iTied = tie && Array.isArray(winners) && winners.includes(myId);
+
+        this.gameResultsEl.classList.remove('tie', 'defeat');
+        if (this.isSpectator) {
+            this.resultsTitleEl.textContent = '🏁 Partie terminée';
+        } else if (iWon) {
+            this.resultsTitleEl.textContent = '🏆 Victoire !';
+        } else if (iTied) {
+            this.resultsTitleEl.textContent = '🤝 Égalité !';
+            this.gameResultsEl.classList.add('tie');
+        } else {
+            this.resultsTitleEl.textContent = '💔 Défaite';
+            this.gameResultsEl.classList.add('defeat');
+        }
+
+        const players = Array.isArray(result?.players) ? result.players : [];
+        const duration = typeof result?.durationMs === 'number' ? this.formatTime(result.durationMs / 1000) : null;
+        this.resultsSummaryEl.textContent = duration ? `Partie terminée en ${duration}` : '';
+        if (reason === 'forfeit' && Array.isArray(forfeited)) {
+            const names = players
+                .filter(p => forfeited.includes(p.id))
+                .map(p => `${p.id === myId ? 'vous' : (p.nick || 'Adversaire')} (${FORFEIT_REASONS[p.forfeitReason] || 'abandon'})`);
+            this.resultsSummaryEl.textContent = `🏳️ Abandon : ${names.join(', ')}`;
+        }
+
+        this.resultsListEl.innerHTML = '';
+        players.forEach((player, index) => {
+            const row = document.createElement('div');
+            row.className = 'result-row' + (player.id === myId ? ' me' : '');
+
+            const rank = document.createElement('span');
+            rank.className = 'score-rank';
+            // Tied players share the same rank
+            const firstWithScore = players.findIndex(p => p.score === player.score);
+            rank.textContent = `#${firstWithScore + 1}`;
+
+            const name = document.createElement('span');
+            name.className = 'result-name';
+            name.textContent = player.id === myId ? `${player.nick || 'Vous'} (vous)` : (player.nick || 'Adversaire');
+
+            const score = document.createElement('span');
+            score.className = 'score-time';
+            score.textContent = `${player.score} pts`;
+
+            const avg = document.createElement('span');
+            avg.className = 'result-avg';
+            avg.textContent = player.forfeit
+                ? 'ABANDON'
+                : typeof player.avgFindMs === 'number' ? `⌀ ${(player.avgFindMs / 1000).toFixed(2)}s` : '⌀ -';
+
+            const change = Array.isArray(ratings) ? ratings.find(r => r.id === player.id) : null;
+            const elo = document.createElement('span');
+            elo.className = 'result-elo' + (change && change.delta < 0 ? ' down' : '');
+            elo.textContent = change ? `${change.rating} (${change.delta >= 0 ? '+' : ''}${change.delta})` : '';
+
+            row.append(rank, name, score, avg, elo);
+            this.resultsListEl.appendChild(row);
+        });
+
+        this.lastReplayId = replayId || null;
+        this.watchReplayBtn.classList.toggle('hidden', !this.lastReplayId);
+
+        if (series) this.series = series;
+        this.renderSeries();
+        this.rematchAccepted = [];
+        this.rematchBtn.classList.toggle('hidden', this.isSpectator || !(this.isMultiplayer || this.ai));
+        this.updateRematchUI();
+
+        if ((iWon || iTied) && !this.isSpectator) this.createVictoryFireworks();
+        this.gameCompleteEl.classList.add('hidden');
+        this.gameResultsEl.classList.remove('hidden');
+    }
+
+    renderSeries() {
+        const series = this.series;
+        if (!series || series.bestOf <= 1 || !Array.isArray(series.wins)) {
+            this.seriesSummaryEl.textContent = '';
+            return;
+        }
+        const myId = this.mp?.sessionId;
+        const label = (p) => (p.id === myId ? 'Vous' : (p.nick || 'Adversaire'));
+        const score = series.wins.map(p => `${label(p)} ${p.wins}`).join(' – ');
+        const champion = series.wins.find(p => p.id === series.winner);
+        this.seriesSummaryEl.textContent = champion
+            ? `🏆 ${label(champion)} remporte la série (${score})`
+            : `Série BO${series.bestOf} • ${score}`;
+    }
+
+    // Rematch in progress: who accepted so far and what our button should do
+    updateRematchUI(declinedBy = null) {
+        const myId = this.mp?.sessionId;
+        const total = this.members.length || 2;
+        const accepted = this.rematchAccepted;
+        const seriesOver = !!this.series?.winner;
+        this.rematchBtn.disabled = accepted.includes(myId);
+        if (declinedBy) {
+            const who = this.members.find(m => m.id === declinedBy);
+            this.rematchStatusEl.textContent = declinedBy === myId ? '' : `❌ ${who?.nick || 'Un joueur'} a refusé la revanche`;
+            this.rematchBtn.textContent = seriesOver ? '⚔️ NOUVELLE SÉRIE' : '⚔️ REVANCHE';
+        } else if (accepted.length === 0) {
+            this.rematchStatusEl.textContent = '';
+            this.rematchBtn.textContent = seriesOver ? '⚔️ NOUVELLE SÉRIE' : '⚔️ REVANCHE';
+        } else if (accepted.includes(myId)) {
+            this.rematchStatusEl.textContent = `⏳ En attente des autres joueurs (${accepted.length}/${total})`;
+            this.rematchBtn.textContent = '⏳ EN ATTENTE';
+        } else {
+            const who = this.members.find(m => m.id === accepted[0]);
+            this.rematchStatusEl.textContent = `⚔️ ${who?.nick || 'Un joueur'} propose une revanche (${accepted.length}/${total})`;
+            this.rematchBtn.textContent = '✅ ACCEPTER';
+        }
+    }
+
+    requestRematch() {
+        // The computer always accepts: same level, new grid
+        if (this.ai) return this.startAiGame(this.ai.level);
+        this.mp?.rematch(true);
+        this.rematchBtn.disabled = true;
+    }
+
+    async watchReplay() {
+        if (!this.lastReplayId) return;
+        this.watchReplayBtn.disabled = true;
+        try {
+            const res = await fetch(`${this.detectHttpUrl()}/replay/${encodeURIComponent(this.lastReplayId)}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const replay = await res.json();
+            this.gameResultsEl.classList.add('hidden');
+            this.replayViewer.open(replay);
+        } catch (e) {
+            console.warn('Replay indisponible:', e.message);
+            this.resultsSummaryEl.textContent = 'Replay indisponible pour le moment';
+        } finally {
+            this.watchReplayBtn.disabled = false;
+        }
+    }
+
+    closeResults() {
+        // Leaving the results screen withdraws from (or turns down) a pending rematch
+        if (this.rematchAccepted.length > 0) this.mp?.rematch(false);
+        this.rematchAccepted = [];
+        this.gameResultsEl.classList.add('hidden');
+        this.resetGame();
+        if (this.isSpectator) {
+            this.updateSpectatorBanner();
+        } else if (this.isMultiplayer && this.roomId) {
+            this.showMpStep('lobby');
+        }
+    }
+
     saveScore(time) {
         let scores = JSON.parse(localStorage.getItem('concentrationScores') || '[]');
         
@@ -479,10 +1158,91 @@ class ConcentrationGame {
 
     showScoreboard() {
         this.loadScores();
-        this.renderScores();
+        this.switchScoreboardTab(this.scoreboardTab);
         this.scoreboardEl.classList.remove('hidden');
     }
 
+    switchScoreboardTab(tab) {
+        this.scoreboardTab = tab;
+        this.personalScoresTab.classList.toggle('active', tab === 'personal');
+        this.globalScoresTab.classList.toggle('active', tab === 'global');
+        this.globalFiltersEl.classList.toggle('hidden', tab !== 'global');
+        if (tab === 'global') {
+            this.renderGlobalScores();
+        } else {
+            this.renderScores();
+        }
+    }
+
+    async renderGlobalScores() {
+        const params = new URLSearchParams({ period: this.globalPeriodEl.value || 'all' });
+        if (this.globalModeEl.value === 'current') params.set('mode', modeKey(this.settings));
+        if (this.mp?.sessionId) params.set('sessionId', this.mp.sessionId);
+
+        this.scoresListEl.innerHTML = '<p style="text-align: center; color: #ccc;">Chargement...</p>';
+        let entries;
+        try {
+            const res = await fetch(`${this.detectHttpUrl()}/leaderboard?${params}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            entries = (await res.json()).entries || [];
+        } catch (e) {
+            console.warn('⚠️ Classement global indisponible:', e);
+            this.scoresListEl.innerHTML = '<p style="text-align: center; color: #ccc;">Classement global indisponible</p>';
+            return;
+        }
+        // The user may have switched back to the personal tab while loading
+        if (this.scoreboardTab !== 'global') return;
+
+        this.renderLeaderboardEntries(this.scoresListEl, entries);
+    }
+
+    renderLeaderboardEntries(container, entries) {
+        if (entries.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #ccc;">Aucun score enregistré</p>';
+            return;
+        }
+        container.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'score-item' + (entry.me ? ' me' : '');
+            item.innerHTML = `
+                <div class="score-info">
+                    <span class="score-rank">#${entry.rank}</span>
+                    <span class="score-time">${this.formatTime(entry.timeMs / 1000)}</span>
+                    <span class="score-nick"></span>
+                </div>
+                <div class="score-datetime">
+                    <span class="score-date">${new Date(entry.at).toLocaleDateString('fr-FR')}</span>
+                    <span class="score-time-of-day">${entry.mode}</span>
+                </div>
+            `;
+            // Nicknames are user input: never inject them as HTML
+            item.querySelector('.score-nick').textContent = entry.nick || 'Anonyme';
+            container.appendChild(item);
+        });
+    }
+
+    submitGlobalScore() {
+        // Only runs played on a server seed can be verified and ranked
+        const run = this.soloRun;
+        this.soloRun = null;
+        if (!run || !this.mp?.sessionId) return;
+        fetch(`${this.detectHttpUrl()}/leaderboard`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...this.mp.credentials(),
+                runId: run.runId,
+                nick: this.myNick || undefined,
+                log: this.clickLog
+            })
+        }).then(res => {
+            if (!res.ok) console.warn(`⚠️ Score global refusé (HTTP ${res.status})`);
+        }).catch(e => {
+            console.warn('⚠️ Envoi du score global impossible:', e);
+        });
+    }
+
     hideScoreboard() {
         this.scoreboardEl.classList.add('hidden');
     }
@@ -564,6 +1324,20 @@ class ConcentrationGame {
             gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
             oscillator.start(this.audioContext.currentTime);
             oscillator.stop(this.audioContext.currentTime + 0.3);
+        } else if (type === 'tick') {
+            oscillator.frequency.setValueAtTime(440, this.audioContext.currentTime);
+            oscillator.type = 'square';
+            gainNode.gain.setValueAtTime(0.15, this.audioContext.currentTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
+            oscillator.start(this.audioContext.currentTime);
+            oscillator.stop(this.audioContext.currentTime + 0.1);
+        } else if (type === 'go') {
+            oscillator.frequency.setValueAtTime(880, this.audioContext.currentTime);
+            oscillator.type = 'sine';
+            gainNode.gain.setValueAtTime(0.3, this.audioContext.currentTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.4);
+            oscillator.start(this.audioContext.currentTime);
+            oscillator.stop(this.audioContext.currentTime + 0.4);
         }
     }
 
@@ -694,16 +1468,18 @@ class ConcentrationGame {
     }
     
     switchTab(tab) {
-        if (tab === 'solo') {
-            this.soloTab.classList.add('active');
-            this.multiTab.classList.remove('active');
-            this.soloPanel.classList.add('active');
-            this.multiPanel.classList.remove('active');
-        } else {
-            this.multiTab.classList.add('active');
-            this.soloTab.classList.remove('active');
-            this.multiPanel.classList.add('active');
-            this.soloPanel.classList.remove('active');
+        const tabs = {
+            solo: [this.soloTab, this.soloPanel],
+            ai: [this.aiTab, this.aiPanel],
+            multi: [this.multiTab, this.multiPanel],
+            daily: [this.dailyTab, this.dailyPanel]
+        };
+        Object.entries(tabs).forEach(([name, [button, panel]]) => {
+            button.classList.toggle('active', name === tab);
+            panel.classList.toggle('active', name === tab);
+        });
+        if (tab === 'daily') {
+            this.loadDailyChallenge();
         }
     }
     
@@ -765,6 +1541,11 @@ class ConcentrationGame {
             alert('Veuillez entrer votre nom');
             return;
         }
+        const capacity = parseInt(this.roomCapacitySelect?.value, 10) || 2;
+        const countdown = parseInt(this.roomCountdownSelect?.value, 10) || 3;
+        const bestOf = parseInt(this.roomBestOfSelect?.value, 10) || 3;
+        const disconnectMode = this.roomDisconnectSelect?.value || 'continue';
+        const settings = this.readSettingsForm(this.roomGridSize, this.roomStartNumber, this.roomSequence, this.roomStep);
         
         if (!this.mpConnected) {
             this.showMpStep('connecting');
@@ -772,10 +1553,10 @@ class ConcentrationGame {
             this.connectingDesc.textContent = 'Connexion au serveur';
             this.mp?.connect();
             setTimeout(() => {
-                this.mp?.createRoom(name);
+                this.mp?.createRoom(name, capacity, settings, countdown, bestOf, disconnectMode);
             }, 1000);
         } else {
-            this.mp?.createRoom(name);
+            this.mp?.createRoom(name, capacity, settings, countdown, bestOf, disconnectMode);
         }
     }
     
@@ -806,6 +1587,105 @@ class ConcentrationGame {
         }
     }
     
+    spectateMpRoom() {
+        const code = this.roomCodeInput.value.trim().toUpperCase();
+        if (!code) {
+            alert('Veuillez entrer le code de la salle');
+            return;
+        }
+
+        if (!this.mpConnected) {
+            this.showMpStep('connecting');
+            this.connectingTitle.textContent = '📶 CONNEXION...';
+            this.connectingDesc.textContent = 'Connexion au serveur';
+            this.mp?.connect();
+            setTimeout(() => {
+                this.mp?.spectateRoom(code);
+            }, 1000);
+        } else {
+            this.mp?.spectateRoom(code);
+        }
+    }
+
+    updateSpectatorBanner() {
+        if (!this.spectatorBanner) return;
+        this.spectatorBanner.classList.toggle('hidden', !this.isSpectator);
+        if (!this.isSpectator) return;
+        const names = this.members.map(m => m.nick || 'Joueur').join(' vs ');
+        const status = this.gameStarted ? names : 'En attente du début de la partie';
+        this.spectatorBanner.textContent = `👁️ SPECTATEUR • SALLE ${this.roomCode || ''} • ${status}`;
+    }
+
+    // Opponents inside their reconnection window, with a live countdown to their forfeit
+    setPlayerDisconnected(id, nick, deadline) {
+        this.disconnectedPlayers[id] = { nick, deadline };
+        if (!this.disconnectInterval) {
+            this.disconnectInterval = setInterval(() => this.updateDisconnectBanner(), 250);
+        }
+        this.updateDisconnectBanner();
+    }
+
+    setPlayerReconnected(id) {
+        delete this.disconnectedPlayers[id];
+        this.updateDisconnectBanner();
+    }
+
+    clearDisconnects() {
+        this.disconnectedPlayers = {};
+        this.setGamePaused(false);
+        this.updateDisconnectBanner();
+    }
+
+    updateDisconnectBanner() {
+        const entries = Object.values(this.disconnectedPlayers);
+        if (entries.length === 0 && this.disconnectInterval) {
+            clearInterval(this.disconnectInterval);
+            this.disconnectInterval = null;
+        }
+        if (!this.disconnectBanner) return;
+        this.disconnectBanner.classList.toggle('hidden', entries.length === 0);
+        if (entries.length === 0) return;
+        const now = this.now();
+        const lines = entries.map(({ nick, deadline }) => {
+            const seconds = Math.max(0, Math.ceil((deadline - now) / 1000));
+            return `${nick || 'Adversaire'} déconnecté, ${seconds}s`;
+        });
+        const pause = this.gamePaused ? ' • PARTIE EN PAUSE' : '';
+        this.disconnectBanner.textContent = `⚠️ ${lines.join(' • ')}${pause}`;
+    }
+
+    // Paused games hide the grid and freeze the timer until the server resumes them
+    setGamePaused(paused, startAt = null) {
+        this.gamePaused = !!paused;
+        this.gameGrid.classList.toggle('concealed', this.gamePaused);
+        if (!this.gamePaused && typeof startAt === 'number') {
+            // The server moved startAt forward by the length of the pause
+            this.startTime = startAt;
+        }
+    }
+
+    updateForfeitButton() {
+        if (!this.forfeitBtn) return;
+        const show = this.isMultiplayer && this.gameStarted && !this.gameComplete && !this.isSpectator;
+        this.forfeitBtn.classList.toggle('hidden', !show);
+    }
+
+    // Out of a game the others play on: the grid stays up to follow it, clicks are ignored,
+    // and the results come with everyone else's game:over
+    sitOutGame() {
+        this.gameComplete = true;
+        clearInterval(this.timerInterval);
+        this.clearDisconnects();
+        this.updateForfeitButton();
+        if (this.lobbyStatus) this.lobbyStatus.textContent = '🏳️ Vous avez abandonné, la partie continue sans vous';
+    }
+
+    forfeitGame() {
+        if (!this.isMultiplayer || !this.gameStarted || this.isSpectator) return;
+        if (!confirm('Abandonner la partie ? Elle sera comptée comme une défaite.')) return;
+        this.mp?.forfeit();
+    }
+
     copyRoomCode() {
         const code = this.displayedRoomCode.textContent;
         navigator.clipboard.writeText(code).then(() => {
@@ -867,11 +1747,7 @@ class ConcentrationGame {
             this.displayedRoomCode.textContent = this.roomCode;
         }
         
-        // Update my status
-        if (this.myStatus) {
-            this.myStatus.textContent = this.ready ? 'Prêt !' : 'Pas prêt';
-            this.myStatus.className = this.ready ? 'player-ready ready' : 'player-ready';
-        }
+        this.renderLobbyPlayers();
         
         // Update ready button
         if (this.readyBtn) {
@@ -895,14 +1771,57 @@ class ConcentrationGame {
         
         // Update lobby status
         if (this.lobbyStatus) {
-            if (this.ready && this.opponentProgress > 0) {
+            const everyoneReady = this.members.length >= 2 && this.members.every(m => m.id === this.mp?.sessionId ? this.ready : m.ready);
+            if (everyoneReady) {
                 this.lobbyStatus.textContent = 'Tous prêts ! L\'hôte peut lancer la partie.';
+            } else if (this.members.length < 2) {
+                this.lobbyStatus.textContent = 'En attente d\'autres joueurs...';
             } else {
                 this.lobbyStatus.textContent = 'En attente que tous les joueurs soient prêts...';
             }
         }
     }
 
+    renderLobbyPlayers() {
+        if (!this.lobbyPlayerList) return;
+        const myId = this.mp?.sessionId;
+        if (this.lobbyPlayerCount) {
+            this.lobbyPlayerCount.textContent = `JOUEURS ${this.members.length}/${this.roomCapacity}`;
+        }
+        if (this.lobbySettings) {
+            const cols = Math.round(Math.sqrt(this.settings.gridSize));
+            const values = buildValues(this.settings);
+            this.lobbySettings.textContent = `GRILLE ${cols} × ${cols} • DE ${values[0]} À ${values[values.length - 1]} • ${describeSequence(this.settings)}`;
+        }
+        this.lobbyPlayerList.innerHTML = '';
+        for (let i = 0; i < this.roomCapacity; i++) {
+            const member = this.members[i];
+            const isMe = member && member.id === myId;
+            // Our own ready flag is optimistic until the server confirms it
+            const ready = member ? (isMe ? this.ready : member.ready) : false;
+
+            const card = document.createElement('div');
+            card.className = 'player-card' + (isMe ? ' me' : member ? ' opponent' : ' empty');
+
+            const avatar = document.createElement('div');
+            avatar.className = 'player-avatar';
+            avatar.textContent = member ? (member.isHost ? '👑' : '👤') : '…';
+
+            const info = document.createElement('div');
+            info.className = 'player-info';
+            const name = document.createElement('div');
+            name.className = 'player-name';
+            name.textContent = member ? (isMe ? `${member.nick || 'VOUS'} (VOUS)` : (member.nick || 'ADVERSAIRE')) : 'EN ATTENTE...';
+            const status = document.createElement('div');
+            status.className = ready ? 'player-ready ready' : 'player-ready';
+            status.textContent = member ? (member.online === false ? 'Déconnecté' : (ready ? 'Prêt !' : 'Pas prêt')) : '-';
+            info.append(name, status);
+
+            card.append(avatar, info);
+            this.lobbyPlayerList.appendChild(card);
+        }
+    }
+
     // --- Multiplayer integration ---
     initMultiplayer() {
         this.mp = new MultiplayerClient({
@@ -924,14 +1843,86 @@ class ConcentrationGame {
                 console.log('🔄 Reprise de jeu:', data);
                 this.resumeGame(data);
             },
+            onSpectate: (info) => {
+                console.log('👁️ Mode spectateur:', info);
+                this.isMultiplayer = true;
+                this.isSpectator = true;
+                this.roomId = info.roomId || null;
+                this.roomCode = info.code || null;
+                this.isHost = false;
+                this.members = Array.isArray(info.members) ? info.members : [];
+                if (info.settings) this.applySettings(info.settings);
+                this.hideModal();
+                this.updateSpectatorBanner();
+                this.updateMpVisibility();
+            },
+            onRematch: ({ accepted, declinedBy }) => {
+                this.rematchAccepted = Array.isArray(accepted) ? accepted : [];
+                // Answered from the results screen only
+                if (!this.gameResultsEl.classList.contains('hidden')) this.updateRematchUI(declinedBy);
+            },
+            onQueueStatus: ({ rating, band, estimatedWaitMs }) => {
+                if (typeof rating !== 'number' || !band) return;
+                const wait = typeof estimatedWaitMs === 'number'
+                    ? ` • ATTENTE ESTIMÉE ~${Math.max(1, Math.round(estimatedWaitMs / 1000))} S`
+                    : '';
+                this.connectingDesc.textContent = `ELO ${rating} • RECHERCHE ${band.min}–${band.max}${wait}`;
+            },
+            onRoomNotice: ({ message }) => {
+                if (message && this.lobbyStatus) this.lobbyStatus.textContent = `ℹ️ ${message}`;
+            },
+            onError: ({ code, message, requestType }) => {
+                console.warn(`❌ Erreur serveur ${code}: ${message}`);
+                // Creating/joining a room waits on the connecting step: go back and say why
+                if (['room:create', 'room:join', 'room:spectate'].includes(requestType) && this.modal?.classList.contains('show')) {
+                    this.showMpStep('private');
+                    alert(`❌ ${message}`);
+                } else if (requestType?.startsWith('room:') && this.lobbyStatus) {
+                    this.lobbyStatus.textContent = `❌ ${message}`;
+                }
+            },
+            onPlayerDisconnected: ({ id, nick, deadline, paused }) => {
+                if (id === this.mp.sessionId || !this.gameStarted) return;
+                this.setGamePaused(paused);
+                this.setPlayerDisconnected(id, nick, deadline);
+            },
+            onPlayerReconnected: ({ id, paused, startAt }) => {
+                this.setPlayerReconnected(id);
+                this.setGamePaused(paused, startAt);
+                this.updateDisconnectBanner();
+            },
+            onPlayerForfeited: ({ id, nick, reason, paused, startAt }) => {
+                if (!this.gameStarted || this.gameComplete) return;
+                if (id === this.mp.sessionId) return this.sitOutGame();
+                this.setPlayerReconnected(id);
+                this.setGamePaused(paused, startAt);
+                if (this.lobbyStatus) this.lobbyStatus.textContent = `🏳️ ${nick || 'Adversaire'} : ${FORFEIT_REASONS[reason] || 'abandon'}, la partie continue`;
+            },
+            onRoomLeft: () => {
+                // The watched room was closed by its last player
+                if (!this.isSpectator) return;
+                this.leaveRoomIfAny();
+                this.resetGame();
+            },
             onRoomUpdate: (info) => {
                 console.log('🏠 Mise à jour de salle:', info);
                 this.isMultiplayer = true;
+                if (this.isSpectator) {
+                    // Watchers follow the room without entering its lobby
+                    this.members = Array.isArray(info.members) ? info.members : [];
+                    if (info.settings) this.settings = normalizeSettings(info.settings);
+                    this.updateSpectatorBanner();
+                    this.updateMultiplayerScores();
+                    return;
+                }
                 this.roomId = info.roomId || null;
                 this.roomCode = info.code || null;
                 this.isHost = info.hostId === this.mp.sessionId;
-                const me = info.members?.find(m => m.id === this.mp.sessionId);
-                const opponent = info.members?.find(m => m.id !== this.mp.sessionId);
+                this.members = Array.isArray(info.members) ? info.members : [];
+                if (typeof info.capacity === 'number') this.roomCapacity = info.capacity;
+                if (info.settings) this.settings = normalizeSettings(info.settings);
+                if (info.series) this.series = info.series;
+                const me = this.members.find(m => m.id === this.mp.sessionId);
                 
                 // Only update ready state if we're not in the middle of changing it
                 const serverReady = !!me?.ready;
@@ -943,19 +1934,8 @@ class ConcentrationGame {
                     this.ready = serverReady;
                 }
                 
-                // Store nicknames for game display
+                // Store nickname for game display
                 this.myNick = me?.nick || null;
-                this.opponentNick = opponent?.nick || null;
-                
-                if (opponent) {
-                    this.opponentName.textContent = opponent.nick || 'ADVERSAIRE';
-                    this.opponentReady.textContent = opponent.ready ? 'Prêt !' : 'Pas prêt';
-                    this.opponentReady.className = opponent.ready ? 'player-ready ready' : 'player-ready';
-                } else {
-                    this.opponentName.textContent = 'EN ATTENTE...';
-                    this.opponentReady.textContent = '-';
-                    this.opponentReady.className = 'player-ready';
-                }
                 
                 this.showMpStep('lobby');
                 this.updateMpVisibility();
@@ -965,28 +1945,33 @@ class ConcentrationGame {
                 this.roomId = info.roomId;
                 this.roomCode = info.code;
                 this.isHost = info.hostId === this.mp.sessionId;
+                this.members = Array.isArray(info.members) ? info.members : [];
+                if (typeof info.capacity === 'number') this.roomCapacity = info.capacity;
+                if (info.settings) this.settings = normalizeSettings(info.settings);
                 
                 // Show lobby immediately
                 this.showMpStep('lobby');
-                this.opponentName.textContent = 'ADVERSAIRE';
-                this.opponentReady.textContent = 'Pas prêt';
                 this.lobbyStatus.textContent = '🎯 Match trouvé ! Préparez-vous...';
             },
-            onGameStart: ({ seed, startAt }) => {
+            onGameStart: ({ seed, startAt, settings, series }) => {
                 console.log('🚀 Début de partie multijoueur');
                 this.hideModal();
                 this.isMultiplayer = true;
+                this.settings = normalizeSettings(settings);
+                if (series) this.series = series;
+                this.rematchAccepted = [];
                 this.pendingStart = { seed, startAt };
                 this.resetGame();
                 this.startGame({ seed, startAt });
                 this.updateMultiplayerScores(); // Show multiplayer scores
+                this.updateSpectatorBanner();
                 this.updateMpVisibility();
             },
-            onOpponentProgress: ({ found, currentTarget, from, scores }) => {
+            onOpponentProgress: ({ found, currentTarget, targetIndex, from, scores }) => {
                 // Apply visual marks based on authoritative server event
-                if (typeof found === 'number' && found > 0) {
-                    if (from && from === this.mp.sessionId) {
-                        // My successful find acknowledged by server
+                if (Number.isInteger(found) && found >= 0) {
+                    if (from && from === this.getFocusId()) {
+                        // My successful find acknowledged by server (or the watched player's)
                         const myCard = this.gameGrid.querySelector(`.number-card[data-number="${found}"]`);
                         if (myCard) {
                             myCard.classList.add('my-found');
@@ -1004,33 +1989,44 @@ class ConcentrationGame {
 
                 // Update server-authoritative scores if provided
                 if (scores && Array.isArray(scores)) {
-                    const me = scores.find(s => s && s.id === this.mp.sessionId);
-                    const other = scores.find(s => s && s.id !== this.mp.sessionId);
-                    if (me && typeof me.score === 'number') this.myScore = me.score;
-                    if (other && typeof other.score === 'number') this.opponentScore = other.score;
+                    this.applyScores(scores);
                     this.updateMultiplayerScores();
                 }
 
-                if (typeof currentTarget === 'number') {
-                    // Server sent updated current target - synchronize both players
-                    this.currentTarget = currentTarget;
+                if (typeof targetIndex === 'number') {
+                    // Server sent updated position in the sequence - synchronize every player
+                    this.setTargetIndex(targetIndex);
                     this.updateProgress();
                     
-                    if (this.currentTarget > 100) {
+                    // Players who forfeited follow the end without a time of their own
+                    if (this.isSequenceComplete() && !this.gameComplete) {
                         this.completeGame();
                     }
+                } else if (typeof currentTarget === 'number') {
+                    // Older servers only send the value; locate it in the sequence
+                    const index = this.sequence.indexOf(currentTarget);
+                    if (index >= 0) this.setTargetIndex(index);
+                    this.updateProgress();
                 }
                 this.updateConnectionUI();
             },
-            onGameOver: ({ winner }) => {
-                if (winner === this.mp.sessionId) {
+            onGameOver: (outcome) => {
+                const { winner, tie, winners } = outcome;
+                if (this.isSpectator) {
+                    // No lobby status to update for watchers
+                } else if (tie && Array.isArray(winners) && winners.includes(this.mp.sessionId)) {
+                    this.lobbyStatus.textContent = `🤝 ÉGALITÉ ! Code: ${this.roomCode || ''}`;
+                } else if (!tie && winner === this.mp.sessionId) {
                     this.lobbyStatus.textContent = `🏆 VICTOIRE ! Code: ${this.roomCode || ''}`;
                 } else {
                     this.lobbyStatus.textContent = `💔 DÉFAITE. Code: ${this.roomCode || ''}`;
-                    this.gameStarted = false;
-                    this.gameComplete = true;
-                    if (this.timerInterval) clearInterval(this.timerInterval);
                 }
+                this.gameStarted = false;
+                this.gameComplete = true;
+                if (this.timerInterval) clearInterval(this.timerInterval);
+                this.clearDisconnects();
+                this.updateForfeitButton();
+                this.showGameResults(outcome);
                 // Reset ready states
                 this.ready = false;
                 this.pendingReadyState = null;
@@ -1044,6 +2040,11 @@ class ConcentrationGame {
         return 'wss://shaka-server.relais.dev';
     }
 
+    // Same host as the WebSocket server, over HTTP(S)
+    detectHttpUrl() {
+        return this.detectWsUrl().replace(/^ws/, 'http');
+    }
+
     updateMpVisibility() {
         // Ensure multiplayer scores visibility is updated
         this.updateMultiplayerScores();
@@ -1053,6 +2054,7 @@ class ConcentrationGame {
             if (show) this.leaveSessionBtn.classList.remove('hidden');
             else this.leaveSessionBtn.classList.add('hidden');
         }
+        this.updateForfeitButton();
     }
 
     updateRoomControls(info = null) {
@@ -1072,10 +2074,9 @@ class ConcentrationGame {
         }
         const members = info?.members || [];
         const me = members.find(m => m.id === this.mp.sessionId);
-        const other = members.find(m => m.id !== this.mp.sessionId);
-        const otherReady = other ? other.ready : false;
-        const allReady = members.length === 2 && members.every(m => m.ready);
-        this.roomInfo.textContent = `Salle ${this.roomCode || ''} • Joueurs: ${members.length}/2 • ${me?.ready ? 'Vous: prêt' : 'Vous: pas prêt'}${other ? ` • Adverse: ${otherReady ? 'prêt' : 'pas prêt'}` : ''}`;
+        const readyCount = members.filter(m => m.ready).length;
+        const allReady = members.length >= 2 && readyCount === members.length;
+        this.roomInfo.textContent = `Salle ${this.roomCode || ''} • Joueurs: ${members.length}/${this.roomCapacity} • ${me?.ready ? 'Vous: prêt' : 'Vous: pas prêt'} • Prêts: ${readyCount}/${members.length}`;
         this.readyBtn.textContent = this.ready ? 'Pas prêt' : 'Prêt';
         // hide solo start button while in room
         this.startBtn.style.display = 'none';
@@ -1096,8 +2097,8 @@ class ConcentrationGame {
     resumeGame(data) {
         console.log('📊 Données de reprise:', data);
         
-        // Check if game is still valid (not too old)
-        const now = Date.now();
+        // Check if game is still valid (not too old); startAt is in server time
+        const now = this.mp ? this.mp.serverNow() : Date.now();
         const gameAge = now - data.startAt;
         if (gameAge > 30 * 60 * 1000) { // 30 minutes max
             console.log('⏰ Jeu trop ancien, pas de reprise');
@@ -1108,19 +2109,32 @@ class ConcentrationGame {
         this.isMultiplayer = true;
         this.gameStarted = true;
         this.gameComplete = false;
-        this.currentTarget = data.currentTarget;
+        this.applySettings(data.settings);
+        if (typeof data.targetIndex === 'number') {
+            this.setTargetIndex(data.targetIndex);
+        } else {
+            const index = this.sequence.indexOf(data.currentTarget);
+            this.setTargetIndex(index >= 0 ? index : 0);
+        }
+        if (data.spectator) this.isSpectator = true;
         this.myFoundNumbers = new Set(data.myFoundNumbers || []);
-        this.opponentFoundNumbers = new Set(data.opponentFoundNumbers || []);
+        if (Array.isArray(data.players)) {
+            // N-player rooms: everyone else's finds count as opponent marks
+            const focusId = this.getFocusId();
+            const focus = data.players.find(p => p && p.id === focusId);
+            if (focus) this.myFoundNumbers = new Set(focus.foundNumbers || []);
+            const others = data.players.filter(p => p && p.id !== focusId);
+            this.opponentFoundNumbers = new Set(others.flatMap(p => p.foundNumbers || []));
+        } else {
+            this.opponentFoundNumbers = new Set(data.opponentFoundNumbers || []);
+        }
         
         // Update scores (server authoritative if provided)
+        this.myScore = this.myFoundNumbers.size;
         if (Array.isArray(data.scores)) {
-            const me = data.scores.find(s => s && s.id === this.mp?.sessionId);
-            const other = data.scores.find(s => s && s.id !== this.mp?.sessionId);
-            this.myScore = (me && typeof me.score === 'number') ? me.score : this.myFoundNumbers.size;
-            this.opponentScore = (other && typeof other.score === 'number') ? other.score : this.opponentFoundNumbers.size;
+            this.applyScores(data.scores);
         } else {
-            this.myScore = this.myFoundNumbers.size;
-            this.opponentScore = this.opponentFoundNumbers.size;
+            this.playerScores = [];
         }
         
         // Hide modal and show game UI
@@ -1143,20 +2157,30 @@ class ConcentrationGame {
         
         // Show multiplayer UI
         this.updateMultiplayerScores();
+        this.updateSpectatorBanner();
         this.updateMpVisibility();
         
-        // Resume timer (calculate elapsed time)
-        const elapsedSinceStart = Math.max(0, now - data.startAt);
-        this.startTime = now - elapsedSinceStart;
+        // Resume timer: startAt is server time, like now()
+        this.startTime = data.startAt;
         this.startTimer();
         
+        // Opponents still away, and whether the room is waiting for them
+        this.disconnectedPlayers = {};
+        (data.disconnected || []).forEach(({ id, nick, deadline }) => {
+            if (id !== this.mp?.sessionId) this.setPlayerDisconnected(id, nick, deadline);
+        });
+        this.setGamePaused(data.paused);
+        this.updateDisconnectBanner();
+        
         // Update UI
         this.updateUI();
+        // Forfeited while away: the others play on without us
+        if (Array.isArray(data.forfeited) && data.forfeited.includes(this.mp?.sessionId)) this.sitOutGame();
         
         // Show notification to user
         console.log('🔄 Partie reprise automatiquement !');
         
-        console.log(`🔄 Jeu repris: ${this.myScore} vs ${this.opponentScore}, recherche du ${this.currentTarget}`);
+        console.log(`🔄 Jeu repris: ${this.myScore} points sur ${this.playerScores.length || 1} joueurs, recherche du ${this.currentTarget}`);
     }
 
     checkForSoloGameState() {
@@ -1167,8 +2191,12 @@ class ConcentrationGame {
                 const now = Date.now();
                 const gameAge = now - state.startTime;
                 
-                // Only resume if game is less than 30 minutes old
-                if (gameAge < 30 * 60 * 1000 && state.currentTarget <= 100) {
+                // Only resume if game is less than 30 minutes old and not already finished
+                const settings = normalizeSettings(state.settings);
+                const targetIndex = typeof state.targetIndex === 'number'
+                    ? state.targetIndex
+                    : buildSequence(settings).indexOf(state.currentTarget);
+                if (gameAge < 30 * 60 * 1000 && targetIndex >= 0 && targetIndex < settings.gridSize) {
                     console.log('🔄 Reprise du jeu solo:', state);
                     this.resumeSoloGame(state);
                 }
@@ -1183,9 +2211,16 @@ class ConcentrationGame {
         this.isMultiplayer = false;
         this.gameStarted = true;
         this.gameComplete = false;
-        this.currentTarget = state.currentTarget;
+        this.applySettings(state.settings);
+        if (typeof state.targetIndex === 'number') {
+            this.setTargetIndex(state.targetIndex);
+        } else {
+            this.setTargetIndex(Math.max(0, this.sequence.indexOf(state.currentTarget)));
+        }
         this.startTime = state.startTime;
         this.numbers = state.numbers;
+        this.soloRun = state.soloRun || null;
+        this.clickLog = Array.isArray(state.clickLog) ? state.clickLog : [];
         this.myFoundNumbers = new Set(state.foundNumbers);
         
         // Render the grid and mark found numbers
@@ -1200,15 +2235,20 @@ class ConcentrationGame {
         this.updateUI();
         this.updateMultiplayerScores(); // Hide multiplayer UI
         
-        console.log(`🔄 Jeu solo repris: ${this.myFoundNumbers.size}/100, recherche du ${this.currentTarget}`);
+        console.log(`🔄 Jeu solo repris: ${this.myFoundNumbers.size}/${this.settings.gridSize}, recherche du ${this.currentTarget}`);
     }
     
     saveGameState() {
-        if (this.gameStarted && !this.gameComplete && !this.isMultiplayer) {
+        // Games against the computer are not resumed after a reload
+        if (this.gameStarted && !this.gameComplete && !this.isMultiplayer && !this.ai) {
             const state = {
                 currentTarget: this.currentTarget,
+                targetIndex: this.targetIndex,
                 startTime: this.startTime,
+                settings: this.settings,
                 numbers: this.numbers,
+                soloRun: this.soloRun,
+                clickLog: this.clickLog,
                 foundNumbers: Array.from(this.myFoundNumbers),
                 timestamp: Date.now()
             };
@@ -1222,10 +2262,13 @@ class ConcentrationGame {
 
     leaveRoomIfAny() {
         this.roomId = null;
+        this.isSpectator = false;
+        this.updateSpectatorBanner();
         this.roomCode = null;
         this.ready = false;
         this.pendingReadyState = null;
         this.isHost = false;
+        this.members = [];
         this.opponentProgress = 0;
         this.mp?.leaveRoom();
         this.updateRoomControls();
@@ -1285,9 +2328,193 @@ document.addEventListener('DOMContentLoaded', () => {
     new ConcentrationGame();
 });
 
+// --- Replay viewer ---
+// Rebuilds a finished multiplayer game from its seed and timestamped finds.
+class ReplayViewer {
+    constructor({ buildGrid, formatTime, getViewerId }) {
+        this.buildGrid = buildGrid;
+        this.formatTime = formatTime;
+        this.getViewerId = getViewerId;
+        this.replay = null;
+        this.cards = new Map(); // number -> card
+        this.position = 0; // ms since startAt
+        this.applied = 0; // events already drawn on the grid
+        this.speed = 1;
+        this.playing = false;
+        this.lastTick = 0;
+        this.frame = null;
+
+        this.el = document.getElementById('replayViewer');
+        this.gridEl = document.getElementById('replayGrid');
+        this.playersEl = document.getElementById('replayPlayers');
+        this.playBtn = document.getElementById('replayPlayBtn');
+        this.seekEl = document.getElementById('replaySeek');
+        this.timeEl = document.getElementById('replayTime');
+        this.speedEl = document.getElementById('replaySpeed');
+        this.closeBtn = document.getElementById('closeReplayBtn');
+
+        this.playBtn.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+        this.seekEl.addEventListener('input', () => this.seek(parseInt(this.seekEl.value, 10)));
+        this.speedEl.addEventListener('change', () => { this.speed = parseFloat(this.speedEl.value) || 1; });
+        this.closeBtn.addEventListener('click', () => this.close());
+    }
+
+    get duration() {
+        const events = this.replay?.events || [];
+        return events.length ? events[events.length - 1].t : 0;
+    }
+
+    open(replay) {
+        this.replay = replay;
+        const numbers = this.buildGrid(normalizeSettings(replay.settings), replay.seed);
+        this.gridEl.innerHTML = '';
+        this.gridEl.style.setProperty('--grid-cols', Math.round(Math.sqrt(numbers.length)) || 10);
+        this.cards.clear();
+        numbers.forEach((number) => {
+            const card = document.createElement('div');
+            card.className = 'number-card';
+            card.textContent = number;
+            this.gridEl.appendChild(card);
+            this.cards.set(number, card);
+        });
+
+        // Viewer's finds in green; spectators of someone else's game follow the first player
+        const viewerId = this.getViewerId();
+        const players = Array.isArray(replay.players) ? replay.players : [];
+        this.focusId = players.some(p => p.id === viewerId) ? viewerId : players[0]?.id;
+        this.playersEl.innerHTML = '';
+        players.forEach((player) => {
+            const tag = document.createElement('span');
+            tag.className = 'replay-player' + (player.id === this.focusId ? ' me' : '');
+            tag.textContent = player.nick || (player.id === viewerId ? 'Vous' : 'Joueur');
+            this.playersEl.appendChild(tag);
+        });
+
+        this.seekEl.max = String(this.duration);
+        this.speed = parseFloat(this.speedEl.value) || 1;
+        this.seek(0);
+        this.el.classList.remove('hidden');
+        this.play();
+    }
+
+    close() {
+        this.pause();
+        this.el.classList.add('hidden');
+        this.replay = null;
+    }
+
+    play() {
+        if (!this.replay) return;
+        if (this.position >= this.duration) this.seek(0);
+        this.playing = true;
+        this.playBtn.textContent = '⏸️ PAUSE';
+        this.lastTick = performance.now();
+        this.frame = requestAnimationFrame((now) => this.tick(now));
+    }
+
+    pause() {
+        this.playing = false;
+        this.playBtn.textContent = '▶️ LECTURE';
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    tick(now) {
+        if (!this.playing) return;
+        this.seek(this.position + (now - this.lastTick) * this.speed);
+        this.lastTick = now;
+        if (this.position >= this.duration) {
+            this.pause();
+            return;
+        }
+        this.frame = requestAnimationFrame((t) => this.tick(t));
+    }
+
+    seek(ms) {
+        const target = Math.max(0, Math.min(ms, this.duration));
+        const events = this.replay.events;
+        // Going backwards: clear the grid and replay from the start
+        if (target < this.position) {
+            this.cards.forEach(card => card.classList.remove('my-found', 'opponent-found'));
+            this.applied = 0;
+        }
+        while (this.applied < events.length && events[this.applied].t <= target) {
+            const { by, number } = events[this.applied];
+            this.cards.get(number)?.classList.add(by === this.focusId ? 'my-found' : 'opponent-found');
+            this.applied++;
+        }
+        this.position = target;
+        this.seekEl.value = String(Math.round(target));
+        this.timeEl.textContent = `${this.formatTime(target / 1000)} / ${this.formatTime(this.duration / 1000)}`;
+    }
+}
+
+// --- Offline opponent ("VS ORDI") ---
+// A simulated player on the same grid. Each number costs it a reaction delay plus a scan of
+// the grid in reading order from the last card it found, one cell at a time, so where the
+// numbers sit matters as it does for a person. Levels set both speeds and how steady they are.
+const AI_LEVELS = Object.freeze({
+    easy: { nick: 'ORDI (facile)', reactionMs: 700, cellMs: 55, jitter: 0.35 },
+    normal: { nick: 'ORDI', reactionMs: 450, cellMs: 32, jitter: 0.3 },
+    hard: { nick: 'ORDI (difficile)', reactionMs: 300, cellMs: 18, jitter: 0.25 },
+    expert: { nick: 'ORDI (expert)', reactionMs: 200, cellMs: 10, jitter: 0.2 }
+});
+// Player ids of a game against the computer, in place of the server's session ids
+const AI_PLAYER_ID = 'ordi';
+const LOCAL_PLAYER_ID = 'vous';
+
+class AiOpponent {
+    constructor({ level, numbers, sequence, seed, onFind }) {
+        this.level = AI_LEVELS[level] ? level : 'normal';
+        this.profile = AI_LEVELS[this.level];
+        this.positions = new Map(numbers.map((number, index) => [number, index]));
+        this.cellCount = numbers.length;
+        this.sequence = sequence;
+        this.onFind = onFind;
+        // Same seed, same game: the grid and the computer's timings both follow from it
+        this.rnd = rngMulberry32((seed ^ 0x5bd1e995) >>> 0);
+        this.gaze = Math.floor(this.rnd() * this.cellCount); // index of the card it looks at
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    get nick() {
+        return this.profile.nick;
+    }
+
+    // Reaction + cells scanned to reach the number, with log-normal noise
+    searchTime(number) {
+        const index = this.positions.get(number) ?? this.gaze;
+        const cells = ((index - this.gaze + this.cellCount) % this.cellCount) + 1;
+        const gaussian = Math.sqrt(-2 * Math.log(1 - this.rnd())) * Math.cos(2 * Math.PI * this.rnd());
+        return (this.profile.reactionMs + cells * this.profile.cellMs) * Math.exp(this.profile.jitter * gaussian);
+    }
+
+    // (Re)starts the search for the number at targetIndex, not before startAt. Called again
+    // whenever the target moves, including when the player took the number first.
+    seek(targetIndex, startAt = 0) {
+        clearTimeout(this.timer);
+        if (this.stopped || targetIndex >= this.sequence.length) return;
+        const number = this.sequence[targetIndex];
+        const delay = Math.max(0, startAt - Date.now()) + this.searchTime(number);
+        this.timer = setTimeout(() => {
+            this.gaze = this.positions.get(number) ?? this.gaze;
+            this.onFind(number);
+        }, delay);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+    }
+}
+
 // --- Multiplayer client (browser) ---
+const CLOCK_SYNC_SAMPLES = 5;
+const CLOCK_SYNC_INTERVAL_MS = 200;
+
 class MultiplayerClient {
-    constructor({ url, onOpen, onClose, onRoomUpdate, onMatchFound, onGameStart, onGameResume, onOpponentProgress, onGameOver }) {
+    constructor({ url, onOpen, onClose, onRoomUpdate, onSpectate, onRoomLeft, onRoomNotice, onError, onRematch, onPlayerDisconnected, onPlayerReconnected, onPlayerForfeited, onQueueStatus, onMatchFound, onGameStart, onGameResume, onOpponentProgress, onGameOver }) {
         this.url = url;
         this.ws = null;
         this.backoff = 1000;
@@ -1296,12 +2523,47 @@ class MultiplayerClient {
         this.onOpen = onOpen || (() => {});
         this.onClose = onClose || (() => {});
         this.onRoomUpdate = onRoomUpdate || (() => {});
+        this.onSpectate = onSpectate || (() => {});
+        this.onRoomLeft = onRoomLeft || (() => {});
+        this.onRoomNotice = onRoomNotice || (() => {});
+        this.onError = onError || (() => {});
+        this.onRematch = onRematch || (() => {});
+        this.onPlayerDisconnected = onPlayerDisconnected || (() => {});
+        this.onPlayerReconnected = onPlayerReconnected || (() => {});
+        this.onPlayerForfeited = onPlayerForfeited || (() => {});
+        this.onQueueStatus = onQueueStatus || (() => {});
         this.onMatchFound = onMatchFound || (() => {});
         this.onGameStart = onGameStart || (() => {});
         this.onGameResume = onGameResume || (() => {});
         this.onOpponentProgress = onOpponentProgress || (() => {});
         this.onGameOver = onGameOver || (() => {});
         this.sessionId = localStorage.getItem('mpSessionId') || localStorage.getItem('deviceId') || null;
+        // Secret from the server's first hello; without it the session cannot be reattached
+        this.resumeToken = localStorage.getItem('mpResumeToken') || null;
+        this.requestSeq = 0; // requestId of outgoing messages, echoed by server errors
+        this.clockOffset = 0; // server time - local time, kept across reconnects
+        this.clockSamples = [];
+    }
+
+    // NTP-style exchange: CLOCK_SYNC_SAMPLES round trips, offset = median of the estimates
+    syncClock() {
+        this.clockSamples = [];
+        this.send({ type: 'time:sync', t0: Date.now() });
+    }
+
+    handleTimeSync({ t0, t1, t2 }) {
+        const t3 = Date.now();
+        if (![t0, t1, t2].every(Number.isFinite)) return;
+        this.clockSamples.push(((t1 - t0) + (t2 - t3)) / 2);
+        const sorted = this.clockSamples.slice().sort((a, b) => a - b);
+        this.clockOffset = Math.round(sorted[Math.floor(sorted.length / 2)]);
+        if (this.clockSamples.length < CLOCK_SYNC_SAMPLES) {
+            setTimeout(() => this.send({ type: 'time:sync', t0: Date.now() }), CLOCK_SYNC_INTERVAL_MS);
+        }
+    }
+
+    serverNow() {
+        return Date.now() + this.clockOffset;
     }
 
     connect() {
@@ -1318,7 +2580,8 @@ class MultiplayerClient {
             return;
         }
         this.ws.onopen = () => {
-            this.send({ type: 'hello', sessionId: this.sessionId || undefined });
+            this.send({ type: 'hello', sessionId: this.sessionId || undefined, resumeToken: this.resumeToken || undefined, lang: document.documentElement.lang || 'fr' });
+            this.syncClock();
             this.onOpen();
             this.backoff = 1000;
         };
@@ -1346,22 +2609,51 @@ class MultiplayerClient {
 
     send(obj) {
         if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
-        try { this.ws.send(JSON.stringify(obj)); } catch {}
+        try { this.ws.send(JSON.stringify({ ...obj, requestId: String(++this.requestSeq) })); } catch {}
     }
 
     handle(msg) {
         const t = msg.type;
-        if (t === 'hello') {
+        if (t === 'time:sync') {
+            this.handleTimeSync(msg);
+        } else if (t === 'hello') {
             if (msg.sessionId && msg.sessionId !== this.sessionId) {
                 this.sessionId = msg.sessionId;
                 localStorage.setItem('mpSessionId', this.sessionId);
                 // Keep deviceId aligned for future connects as well
                 localStorage.setItem('deviceId', this.sessionId);
             }
+            if (msg.resumeToken) {
+                this.resumeToken = msg.resumeToken;
+                localStorage.setItem('mpResumeToken', this.resumeToken);
+            }
+        } else if (t === 'error' && msg.code === 'RESUME_TOKEN_INVALID') {
+            // Someone else holds this session: start over with a fresh one
+            console.warn(`🚫 ${msg.message}`);
+            this.resetSession();
+            this.send({ type: 'hello', sessionId: this.sessionId, lang: document.documentElement.lang || 'fr' });
+        } else if (t === 'error') {
+            this.onError(msg);
+        } else if (t === 'queue:ok') {
+            this.onQueueStatus(msg);
         } else if (t === 'match:found') {
             this.onMatchFound(msg);
         } else if (t === 'room:created' || t === 'room:joined' || t === 'room:state') {
             this.onRoomUpdate(msg);
+        } else if (t === 'room:spectating') {
+            this.onSpectate(msg);
+        } else if (t === 'room:left') {
+            this.onRoomLeft(msg);
+        } else if (t === 'room:notice') {
+            this.onRoomNotice(msg);
+        } else if (t === 'room:rematch') {
+            this.onRematch(msg);
+        } else if (t === 'player:disconnected') {
+            this.onPlayerDisconnected(msg);
+        } else if (t === 'player:reconnected') {
+            this.onPlayerReconnected(msg);
+        } else if (t === 'player:forfeited') {
+            this.onPlayerForfeited(msg);
         } else if (t === 'game:start') {
             this.onGameStart(msg);
         } else if (t === 'game:resume') {
@@ -1376,12 +2668,29 @@ class MultiplayerClient {
     // Public actions
     joinQueue() { this.send({ type: 'queue:join' }); }
     leaveQueue() { this.send({ type: 'queue:leave' }); }
-    createRoom(name) { this.send({ type: 'room:create', nick: name }); }
+    createRoom(name, capacity = 2, settings = undefined, countdown = undefined, bestOf = undefined, disconnectMode = undefined) { this.send({ type: 'room:create', nick: name, capacity, settings, countdown, bestOf, disconnectMode }); }
     joinRoom(code, name) { this.send({ type: 'room:join', code, nick: name }); }
+    spectateRoom(code) { this.send({ type: 'room:spectate', code }); }
     leaveRoom() { this.send({ type: 'room:leave' }); }
+    rematch(accept = true) { this.send({ type: 'room:rematch', accept }); }
+    forfeit() { this.send({ type: 'game:forfeit' }); }
     setReady(ready) { this.send({ type: 'room:ready', ready: !!ready }); }
     start() { this.send({ type: 'room:start' }); }
-    sendProgress(found) { this.send({ type: 'game:progress', found }); }
+    // clickedAt/sentAt let the server discount time spent on this side when settling ties
+    sendProgress(found, clickedAt = this.serverNow()) { this.send({ type: 'game:progress', found, clickedAt, sentAt: this.serverNow() }); }
+
+    // Body fields the HTTP API needs to identify this player
+    credentials() {
+        return { sessionId: this.sessionId, resumeToken: this.resumeToken };
+    }
+
+    resetSession() {
+        localStorage.removeItem('mpSessionId');
+        localStorage.removeItem('deviceId');
+        localStorage.removeItem('mpResumeToken');
+        this.resumeToken = null;
+        this.sessionId = this.getOrCreateDeviceId();
+    }
 
     // Utilities
     getOrCreateDeviceId() {
@@ -0,0 +1,61 @@
+// Server-side verification of solo runs.
+// The server hands out the seed, rebuilds the exact grid the client played on
+// and replays the client's click log against it before a time is accepted.
+
+// Fastest plausible gap between two finds (or between the start and the first find)
+const MIN_FIND_INTERVAL_MS = process.env.MIN_FIND_INTERVAL_MS ? parseInt(process.env.MIN_FIND_INTERVAL_MS, 10) : 150;
+
+// Same generator and shuffle as the front-end (rngMulberry32 / seededShuffle)
+function rngMulberry32(seed) {
+  let t = seed >>> 0;
+  return function () {
+    t += 0x6D2B79F5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededShuffle(array, seed) {
+  const rnd = rngMulberry32(seed >>> 0);
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rnd() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * @typedef {Object} ClickLogEntry
+ * @property {number} t  ms since the start of the run
+ * @property {number} n  number clicked
+ * @property {number} i  index of the clicked card in the grid
+ */
+
+/**
+ * Replays a completed run. Returns { ok: true, timeMs } or { ok: false, reason }.
+ * @param {{ grid: number[], sequence: number[], log: ClickLogEntry[], elapsedMs: number }} run
+ *   elapsedMs is the wall-clock time since the seed was issued: no run can be shorter than its own log.
+ */
+function validateRun({ grid, sequence, log, elapsedMs }) {
+  if (!Array.isArray(log)) return { ok: false, reason: 'journal de clics manquant' };
+  if (log.length !== sequence.length) return { ok: false, reason: 'partie incomplète' };
+  let previousT = 0;
+  for (let k = 0; k < log.length; k++) {
+    const entry = log[k];
+    if (!entry || typeof entry !== 'object') return { ok: false, reason: `clic #${k + 1} invalide` };
+    const { t, n, i } = entry;
+    if (!Number.isFinite(t) || !Number.isInteger(n) || !Number.isInteger(i)) {
+      return { ok: false, reason: `clic #${k + 1} invalide` };
+    }
+    if (i < 0 || i >= grid.length || grid[i] !== n) return { ok: false, reason: `clic #${k + 1} hors grille` };
+    if (n !== sequence[k]) return { ok: false, reason: `clic #${k + 1} hors séquence` };
+    if (t - previousT < MIN_FIND_INTERVAL_MS) return { ok: false, reason: `clic #${k + 1} trop rapide` };
+    previousT = t;
+  }
+  const timeMs = Math.round(previousT);
+  if (timeMs > elapsedMs) return { ok: false, reason: 'durée incohérente' };
+  return { ok: true, timeMs };
+}
+
+module.exports = { rngMulberry32, seededShuffle, validateRun, MIN_FIND_INTERVAL_MS };
@@ -0,0 +1,335 @@
+// Headless players for load tests and local development. Each bot speaks the protocol of
+// the front-end's MultiplayerClient: hello, queue:join (or room:join with a code), ready,
+// start when it is the host, then game:progress for each number, found after a
+// human-like search time. A report of match latency, message throughput and errors is
+// printed as it runs and at the end.
+//
+//   node bot.js --bots 20 --games 3        20 bots through matchmaking, 3 games each
+//   node bot.js --room ABCD                one opponent for a room opened in the browser
+//   node bot.js --bots 1 --games 0         waits in the queue for you, game after game
+//
+// The server limits new connections per IP (10, then one every 2 s): with more bots,
+// start it with TRUST_PROXY=1 and pass --forwarded-for so each bot gets its own address.
+
+const crypto = require('crypto');
+const { connect, OPCODES, CLOSE_CODES } = require('./ws');
+const { buildSequence } = require('./settings');
+const { NICK_MAX_LENGTH } = require('./protocol');
+
+const OPTIONS = {
+  url: { value: `ws://localhost:${process.env.PORT || 3000}`, help: 'server address' },
+  bots: { value: null, help: 'number of bots (default 2, or 1 with --room)' },
+  games: { value: 1, help: 'games per bot, 0 to play until stopped' },
+  room: { value: null, help: 'join this room code instead of the matchmaking queue' },
+  speed: { value: 1200, help: 'median ms to find a number on a 100 grid' },
+  jitter: { value: 0.35, help: 'spread of search times (log-normal sigma)' },
+  ramp: { value: 250, help: 'ms between two bot connections' },
+  retries: { value: 5, help: 'failed connections in a row before a bot gives up' },
+  report: { value: 5, help: 'seconds between progress reports, 0 for none' },
+  nick: { value: 'Bot', help: 'nickname prefix' },
+  'forwarded-for': { value: false, help: 'send a distinct X-Forwarded-For per bot (server with TRUST_PROXY=1)' },
+  verbose: { value: false, help: 'log every game event' },
+};
+
+const MAX_FRAME_BYTES = 1024 * 1024;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+
+function parseArgs(argv) {
+  const options = Object.fromEntries(Object.entries(OPTIONS).map(([name, { value }]) => [name, value]));
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'help' || !(name in OPTIONS)) {
+      console.log('Usage: node bot.js [options]');
+      for (const [key, { value, help }] of Object.entries(OPTIONS)) {
+        console.log(`  --${key.padEnd(14)} ${help}${typeof value === 'boolean' || value === null ? '' : ` (${value})`}`);
+      }
+      process.exit(name === 'help' ? 0 : 1);
+    }
+    if (typeof OPTIONS[name].value === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+    const raw = argv[++i];
+    options[name] = typeof OPTIONS[name].value === 'number' ? Number(raw) : raw;
+  }
+  if (options.bots == null) options.bots = options.room ? 1 : 2;
+  options.bots = Number(options.bots);
+  return options;
+}
+
+// Log-normal around the median: mostly close to it, sometimes much slower, never negative
+function searchTime(options, gridSize) {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  const gaussian = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  // A bigger grid takes longer to scan, roughly with its side
+  return options.speed * Math.sqrt(gridSize / 100) * Math.exp(options.jitter * gaussian);
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return Math.round(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]);
+}
+
+/**
+ * Counters shared by all bots
+ */
+function createStats() {
+  return {
+    startedAt: Date.now(),
+    connected: 0,
+    sent: 0,
+    sentBytes: 0,
+    received: 0,
+    receivedBytes: 0,
+    matchLatencies: [],
+    progressLatencies: [],
+    games: 0,
+    wins: 0,
+    errors: {},
+    connectFailures: {},
+    closes: {},
+  };
+}
+
+/**
+ * One player. Its session and resume token survive reconnects, as in the browser.
+ */
+function createBot(index, options, stats, onDone) {
+  const nick = `${options.nick}${index + 1}`.slice(0, NICK_MAX_LENGTH);
+  const sessionId = `bot-${crypto.randomBytes(6).toString('hex')}`;
+  const forwardedFor = `10.77.${(index >> 8) & 255}.${index & 255}`;
+  let connection = null;
+  let resumeToken = null;
+  let stopping = false;
+  let backoff = RECONNECT_MIN_MS;
+  let failedConnects = 0;
+  let clockOffset = 0;
+  let queuedAt = null;
+  let gamesPlayed = 0;
+  /** @type {{ hostId: string, members: Array<{ id: string, ready: boolean }> } | null} */
+  let room = null;
+  // Updates of a room we are leaving may still arrive before room:left
+  let leaving = false;
+  let readySent = false;
+  let startSent = false;
+  /** @type {{ sequence: number[], targetIndex: number, startAt: number } | null} */
+  let game = null;
+  let searchTimer = null;
+  // found number -> local time its claim was sent
+  const pending = new Map();
+
+  const log = (text) => options.verbose && console.log(`🤖 ${nick}: ${text}`);
+  const serverNow = () => Date.now() + clockOffset;
+
+  function send(msg) {
+    if (!connection || connection.state !== 'open') return;
+    const payload = Buffer.from(JSON.stringify(msg));
+    stats.sent++;
+    stats.sentBytes += payload.length;
+    connection.send(payload);
+  }
+
+  async function open() {
+    const headers = options['forwarded-for'] ? { 'X-Forwarded-For': forwardedFor } : {};
+    try {
+      connection = await connect(options.url, { headers, maxPayload: MAX_FRAME_BYTES, onMessage, onClose });
+    } catch (error) {
+      const key = error.statusCode ? `HTTP ${error.statusCode}` : error.code || error.message;
+      stats.connectFailures[key] = (stats.connectFailures[key] || 0) + 1;
+      // A wrong address or a server that stays down fails the run instead of hanging it
+      if (++failedConnects >= options.retries) {
+        console.log(`❌ ${nick}: abandon après ${failedConnects} connexions échouées (${key})`);
+        return stop();
+      }
+      return retry();
+    }
+    stats.connected++;
+    failedConnects = 0;
+    backoff = RECONNECT_MIN_MS;
+    send({ type: 'hello', sessionId, resumeToken: resumeToken || undefined, nick, lang: 'fr' });
+    send({ type: 'time:sync', t0: Date.now() });
+  }
+
+  function retry() {
+    if (stopping) return;
+    setTimeout(open, backoff);
+    backoff = Math.min(RECONNECT_MAX_MS, backoff * 1.6);
+  }
+
+  function onClose(code) {
+    stats.connected--;
+    clearTimeout(searchTimer);
+    if (stopping) return;
+    const key = code ?? 'sans code';
+    stats.closes[key] = (stats.closes[key] || 0) + 1;
+    log(`connexion perdue (${key})`);
+    retry();
+  }
+
+  function onMessage(frame) {
+    if (frame.opcode !== OPCODES.TEXT) return;
+    stats.received++;
+    stats.receivedBytes += frame.payload.length;
+    let msg;
+    try { msg = JSON.parse(frame.payload.toString('utf8')); } catch { return; }
+    handle(msg);
+  }
+
+  function findNext() {
+    clearTimeout(searchTimer);
+    if (!game || game.targetIndex >= game.sequence.length) return;
+    const target = game.sequence[game.targetIndex];
+    // Nothing can be found before the countdown ends
+    const wait = Math.max(0, game.startAt - serverNow()) + searchTime(options, game.sequence.length);
+    searchTimer = setTimeout(() => {
+      pending.set(target, Date.now());
+      send({ type: 'game:progress', found: target, clickedAt: serverNow(), sentAt: serverNow() });
+    }, wait);
+  }
+
+  function joinGame() {
+    if (options.room) {
+      send({ type: 'room:join', code: options.room, nick });
+    } else {
+      queuedAt = Date.now();
+      send({ type: 'queue:join' });
+    }
+  }
+
+  function play(msg) {
+    game = { sequence: buildSequence(msg.settings), targetIndex: msg.targetIndex || 0, startAt: msg.startAt };
+    pending.clear();
+    findNext();
+  }
+
+  function handle(msg) {
+    const t = msg.type;
+    if (t === 'hello') {
+      resumeToken = msg.resumeToken || resumeToken;
+      // A resumed session gets its room back on its own
+      if (!room) joinGame();
+    } else if (t === 'time:sync') {
+      clockOffset = Math.round(((msg.t1 - msg.t0) + (msg.t2 - Date.now())) / 2);
+    } else if (t === 'error') {
+      stats.errors[msg.code] = (stats.errors[msg.code] || 0) + 1;
+      log(`erreur ${msg.code}: ${msg.message}`);
+      if (msg.code === 'RESUME_TOKEN_INVALID') stop();
+    } else if (t === 'match:found') {
+      if (queuedAt !== null) stats.matchLatencies.push(Date.now() - queuedAt);
+      queuedAt = null;
+      log(`adversaire trouvé (${msg.roomId})`);
+    } else if (t === 'room:created' || t === 'room:joined' || t === 'room:state') {
+      if (leaving) return;
+      room = msg;
+      if (game) return;
+      const me = msg.members.find(m => m.id === sessionId);
+      if (me && !me.ready && !readySent) {
+        readySent = true;
+        send({ type: 'room:ready', ready: true });
+      }
+      const allReady = msg.members.length >= 2 && msg.members.every(m => m.ready);
+      if (msg.hostId === sessionId && allReady && !startSent) {
+        startSent = true;
+        send({ type: 'room:start' });
+      }
+    } else if (t === 'room:rematch') {
+      // Another game with the same opponents, as long as we have games left
+      if (!msg.accepted.includes(sessionId) && !msg.declinedBy && !done()) send({ type: 'room:rematch', accept: true });
+    } else if (t === 'game:start' || t === 'game:resume') {
+      log(`partie lancée, ${msg.settings.gridSize} cases`);
+      play(msg);
+    } else if (t === 'game:progress') {
+      const sentAt = msg.from === sessionId ? pending.get(msg.found) : undefined;
+      if (sentAt !== undefined) stats.progressLatencies.push(Date.now() - sentAt);
+      if (!game) return;
+      game.targetIndex = msg.targetIndex;
+      findNext();
+    } else if (t === 'game:over') {
+      clearTimeout(searchTimer);
+      game = null;
+      readySent = startSent = false;
+      gamesPlayed++;
+      stats.games++;
+      if (msg.winner === sessionId) stats.wins++;
+      log(`partie terminée (${msg.reason}), ${msg.winner === sessionId ? 'gagnée' : 'perdue'}`);
+      if (done()) return stop();
+      // In a room the players decide on a rematch, which the bot then accepts
+      if (options.room) return;
+      room = null;
+      leaving = true;
+      send({ type: 'room:leave' });
+      joinGame();
+    } else if (t === 'room:left') {
+      room = null;
+      leaving = false;
+    }
+  }
+
+  const done = () => options.games > 0 && gamesPlayed >= options.games;
+
+  function stop() {
+    if (stopping) return;
+    stopping = true;
+    clearTimeout(searchTimer);
+    if (connection && connection.state === 'open') {
+      if (room) send({ type: 'room:leave' });
+      connection.close(CLOSE_CODES.NORMAL);
+    }
+    onDone();
+  }
+
+  return { open, stop };
+}
+
+function report(stats, final = false) {
+  const seconds = Math.max(1, (Date.now() - stats.startedAt) / 1000);
+  const count = (obj) => Object.entries(obj).map(([k, v]) => `${k}×${v}`).join(', ') || 'aucune';
+  const ms = (values, p) => (values.length ? `${percentile(values, p)} ms` : '-');
+  console.log([
+    `${final ? '📊 Bilan' : '⏱️'} ${Math.round(seconds)} s — ${stats.connected} connectés, ${stats.games} parties (${stats.wins} gagnées)`,
+    `   messages: ${stats.sent} envoyés (${(stats.sent / seconds).toFixed(1)}/s, ${Math.round(stats.sentBytes / 1024)} Ko), ${stats.received} reçus (${(stats.received / seconds).toFixed(1)}/s, ${Math.round(stats.receivedBytes / 1024)} Ko)`,
+    `   matchmaking: ${stats.matchLatencies.length} matchs, p50 ${ms(stats.matchLatencies, 0.5)}, p95 ${ms(stats.matchLatencies, 0.95)}`,
+    `   progression (envoi → diffusion): p50 ${ms(stats.progressLatencies, 0.5)}, p95 ${ms(stats.progressLatencies, 0.95)}`,
+    `   erreurs: ${count(stats.errors)} — connexions refusées: ${count(stats.connectFailures)} — coupures: ${count(stats.closes)}`,
+  ].join('\n'));
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const stats = createStats();
+  const bots = [];
+  let remaining = options.bots;
+  let finished = false;
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    clearInterval(reporter);
+    report(stats, true);
+    const failed = Object.keys(stats.errors).length + Object.keys(stats.connectFailures).length > 0;
+    // Leaves time for the close handshakes
+    setTimeout(() => process.exit(failed ? 1 : 0), 200);
+  };
+  const onDone = () => {
+    if (--remaining === 0) finish();
+  };
+
+  console.log(`🤖 ${options.bots} bot(s) → ${options.url}${options.room ? `, salle ${options.room}` : ''}`);
+  const reporter = options.report > 0 ? setInterval(() => report(stats), options.report * 1000) : null;
+  for (let i = 0; i < options.bots; i++) {
+    const bot = createBot(i, options, stats, onDone);
+    bots.push(bot);
+    setTimeout(bot.open, i * options.ramp);
+  }
+  process.on('SIGINT', () => {
+    for (const bot of bots) bot.stop();
+    finish();
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { createBot, createStats, searchTime };
@@ -0,0 +1,198 @@
+// permessage-deflate (RFC 7692) for the WebSocket layer: negotiation of the
+// Sec-WebSocket-Extensions offer and the per-connection zlib contexts.
+//
+// Compressed messages end with an empty deflate block (00 00 ff ff) that is stripped
+// on the wire. With context takeover the sliding window is kept from one message to
+// the next, which is what makes repeated JSON shapes cheap; without it every message
+// starts from an empty window.
+
+const zlib = require('zlib');
+
+const EXTENSION = 'permessage-deflate';
+const TRAILER = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+// zlib turns a raw 8-bit window into a 9-bit one, which a peer limited to 8 bits could not read
+const MIN_WINDOW_BITS = 9;
+const MAX_WINDOW_BITS = 15;
+
+/**
+ * @typedef {Object} DeflateOptions  server preferences
+ * @property {boolean} [serverNoContextTakeover]  reset our compressor after each message
+ * @property {boolean} [clientNoContextTakeover]  ask the client to reset its compressor
+ * @property {number} [serverMaxWindowBits]  9..15
+ * @property {number} [threshold]  messages shorter than this (bytes) are sent uncompressed
+ */
+
+/**
+ * @typedef {Object} DeflateParams  what was agreed for one connection
+ * @property {boolean} serverNoContextTakeover
+ * @property {boolean} clientNoContextTakeover
+ * @property {number} serverMaxWindowBits
+ * @property {number} threshold
+ */
+
+// "a; b=1, c" -> [[['a', true], ['b', '1']], [['c', true]]]
+function parseOffers(header) {
+  return String(header)
+    .split(',')
+    .map(offer => offer.split(';').map(part => {
+      const [name, value] = part.split('=').map(s => s.trim());
+      return [name.toLowerCase(), value === undefined ? true : value.replace(/^"(.*)"$/, '$1')];
+    }))
+    .filter(([[name]]) => name);
+}
+
+function windowBits(value) {
+  if (!/^\d+$/.test(value)) return null;
+  const bits = parseInt(value, 10);
+  return bits >= 8 && bits <= MAX_WINDOW_BITS ? bits : null;
+}
+
+/**
+ * Picks the first permessage-deflate offer of the client that we can honour.
+ * @param {string | undefined} header  Sec-WebSocket-Extensions of the request
+ * @param {DeflateOptions} options
+ * @returns {{ params: DeflateParams, response: string } | null}  null: no compression
+ */
+function negotiateDeflate(header, options = {}) {
+  if (!header) return null;
+  const ourWindow = Math.min(MAX_WINDOW_BITS, Math.max(MIN_WINDOW_BITS, options.serverMaxWindowBits || MAX_WINDOW_BITS));
+  for (const [[name], ...params] of parseOffers(header)) {
+    if (name !== EXTENSION) continue;
+    const seen = new Set();
+    let accepted = true;
+    let serverNoContextTakeover = !!options.serverNoContextTakeover;
+    let serverMaxWindowBits = ourWindow;
+    let clientMaxWindowBits = null;
+    for (const [param, value] of params) {
+      // A repeated or unknown parameter makes the whole offer invalid (RFC 7692 §7)
+      if (seen.has(param)) { accepted = false; break; }
+      seen.add(param);
+      if (param === 'server_no_context_takeover' && value === true) {
+        serverNoContextTakeover = true;
+      } else if (param === 'client_no_context_takeover' && value === true) {
+        // Honoured by the client whether or not we echo it
+      } else if (param === 'server_max_window_bits') {
+        const bits = value === true ? null : windowBits(value);
+        if (bits === null || bits < MIN_WINDOW_BITS) { accepted = false; break; }
+        serverMaxWindowBits = Math.min(bits, ourWindow);
+      } else if (param === 'client_max_window_bits') {
+        // Without a value the client only says it understands the parameter
+        clientMaxWindowBits = value === true ? true : windowBits(value);
+        if (clientMaxWindowBits === null) { accepted = false; break; }
+      } else {
+        accepted = false;
+        break;
+      }
+    }
+    if (!accepted) continue;
+
+    const clientNoContextTakeover = seen.has('client_no_context_takeover') || !!options.clientNoContextTakeover;
+    const response = [EXTENSION];
+    if (serverNoContextTakeover) response.push('server_no_context_takeover');
+    if (clientNoContextTakeover) response.push('client_no_context_takeover');
+    if (serverMaxWindowBits < MAX_WINDOW_BITS || seen.has('server_max_window_bits')) {
+      response.push(`server_max_window_bits=${serverMaxWindowBits}`);
+    }
+    // Our inflater reads any window size: a client limit is echoed, never imposed
+    if (typeof clientMaxWindowBits === 'number') response.push(`client_max_window_bits=${clientMaxWindowBits}`);
+    return {
+      params: {
+        serverNoContextTakeover,
+        clientNoContextTakeover,
+        serverMaxWindowBits,
+        threshold: options.threshold ?? 1024,
+      },
+      response: response.join('; '),
+    };
+  }
+  return null;
+}
+
+/**
+ * zlib contexts of one connection. Calls of each direction must not overlap: the
+ * connection queues them. decompress() rejects with `tooBig` once the inflated message
+ * passes `maxPayload`, and with `invalid` when the data is not a deflate stream.
+ * @param {DeflateParams} params
+ */
+function createDeflateContext(params, { maxPayload }) {
+  let deflate = null;
+  let inflate = null;
+
+  // A stream closed mid-message may still report an error nobody waits for any more
+  const quiet = (stream) => stream.on('error', () => {});
+
+  function compress(data) {
+    if (!deflate) deflate = quiet(zlib.createDeflateRaw({ windowBits: params.serverMaxWindowBits }));
+    const stream = deflate;
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const onData = (chunk) => chunks.push(chunk);
+      const onError = (error) => {
+        stream.removeListener('data', onData);
+        stream.close();
+        deflate = null;
+        reject(error);
+      };
+      stream.on('data', onData);
+      stream.once('error', onError);
+      stream.write(data);
+      stream.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+        stream.removeListener('data', onData);
+        stream.removeListener('error', onError);
+        let output = Buffer.concat(chunks);
+        // The sync flush always ends with the empty block: it is implied on the wire
+        if (output.length >= 4 && output.subarray(-4).equals(TRAILER)) output = output.subarray(0, -4);
+        if (params.serverNoContextTakeover) {
+          stream.close();
+          deflate = null;
+        }
+        resolve(output);
+      });
+    });
+  }
+
+  function decompress(data) {
+    // Any client window fits in the largest one
+    if (!inflate) inflate = quiet(zlib.createInflateRaw({ windowBits: MAX_WINDOW_BITS }));
+    const stream = inflate;
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let length = 0;
+      let settled = false;
+      const done = (error, output) => {
+        if (settled) return;
+        settled = true;
+        stream.removeListener('data', onData);
+        stream.removeListener('error', onError);
+        if (error || params.clientNoContextTakeover) {
+          stream.close();
+          inflate = null;
+        }
+        if (error) reject(error);
+        else resolve(output);
+      };
+      const onData = (chunk) => {
+        length += chunk.length;
+        // Stop inflating as soon as the message is too big (compression bombs)
+        if (length > maxPayload) return done(Object.assign(new Error('message décompressé trop grand'), { tooBig: true }));
+        chunks.push(chunk);
+      };
+      const onError = (error) => done(Object.assign(error, { invalid: true }));
+      stream.on('data', onData);
+      stream.on('error', onError);
+      stream.write(data);
+      stream.write(TRAILER);
+      stream.flush(() => done(null, Buffer.concat(chunks, length)));
+    });
+  }
+
+  function close() {
+    if (deflate) deflate.close();
+    if (inflate) inflate.close();
+    deflate = inflate = null;
+  }
+
+  return { compress, decompress, close };
+}
+
+module.exports = { EXTENSION, negotiateDeflate, createDeflateContext };
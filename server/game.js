@@ -0,0 +1,1136 @@
+// Room and match rules as a state machine: events in, messages out.
+//
+// The machine owns sessions, rooms and the matchmaking queue but knows nothing of
+// sockets: dispatch() takes an event (a player connects, sends a message, goes away,
+// or time passes) and returns the messages to deliver, addressed by sessionId, to
+// players that are online. Timers are deadlines kept in the state; the host wakes the
+// machine with a `tick` event at nextDeadline(). The clock and every random draw are
+// injected, so a test can replay a whole game deterministically.
+
+const crypto = require('crypto');
+const { errorMessage, DEFAULT_LOCALE } = require('./protocol');
+const { DEFAULT_SETTINGS, parseSettings, buildSequence } = require('./settings');
+
+// Private rooms hold between MIN_PLAYERS and MAX_PLAYERS; matchmaking rooms are 1v1
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+
+// Seconds between room:start and startAt, shown as a countdown; chosen by the host
+const MIN_COUNTDOWN = 1;
+const MAX_COUNTDOWN = 10;
+const DEFAULT_COUNTDOWN = 3;
+
+// A room plays a series of games; the first to win a majority takes it
+const SERIES_LENGTHS = [1, 3, 5];
+const DEFAULT_BEST_OF = 3;
+
+// What a running game does while a player is disconnected, chosen at room creation
+const DISCONNECT_MODES = ['continue', 'pause'];
+
+// Matchmaking pairs ratings within a band that widens the longer the oldest player waits
+const BASE_RATING_BAND = 100;
+const RATING_BAND_PER_SECOND = 10;
+const MAX_RECENT_WAITS = 20;
+
+const MAX_ARBITRATION_LOG = 50;
+
+/**
+ * @typedef {Object} GameConfig
+ * @property {number} lagWindowMs  claims for the same target arriving within this window are
+ *   settled on latency-adjusted time; it is also the most a claim can be moved back
+ * @property {number} forfeitGraceMs  a player disconnected mid-game forfeits after this long
+ * @property {number} roomMemberTtlMs  members offline for longer lose their seat
+ * @property {number} sessionTtlMs  offline sessions outside any room are deleted after this long
+ */
+const DEFAULT_CONFIG = Object.freeze({
+  lagWindowMs: 80,
+  forfeitGraceMs: 30 * 1000,
+  roomMemberTtlMs: 5 * 60 * 1000,
+  sessionTtlMs: 24 * 60 * 60 * 1000,
+});
+
+/**
+ * @typedef {Object} Client
+ * @property {string} id
+ * @property {boolean} online
+ * @property {string | null} roomId
+ * @property {string | null} spectating  id of the room watched read-only
+ * @property {boolean} ready
+ * @property {number} lastSeen
+ * @property {string | null} nick
+ * @property {Set<number>} foundNumbers
+ * @property {number | null} rttMs  smoothed round-trip time from heartbeat pongs
+ * @property {string | null} resumeToken  secret issued at the first hello, required to reattach
+ * @property {string} lang  locale of error messages, from hello
+ */
+
+/**
+ * @typedef {Object} Claim
+ * @property {string} by
+ * @property {number} receivedAt
+ * @property {number | null} rttMs
+ * @property {number} clickDelayMs  time the click spent on the client before being sent
+ * @property {number} adjustedAt  receivedAt moved back by the estimated one-way trip
+ */
+
+/**
+ * @typedef {Object} Arbitration
+ * @property {string} roomId
+ * @property {number} target
+ * @property {string} winner
+ * @property {number} decidedAt
+ * @property {Claim[]} claims
+ */
+
+/**
+ * @typedef {Object} Room
+ * @property {string} id
+ * @property {string} code
+ * @property {string} hostId
+ * @property {string[]} members
+ * @property {string[]} spectators  read-only watchers, never counted as players
+ * @property {number} capacity
+ * @property {number} countdown  seconds between room:start and startAt
+ * @property {import('./settings').GameSettings} settings
+ * @property {boolean} started
+ * @property {number | null} seed
+ * @property {number | null} startAt
+ * @property {number[]} sequence
+ * @property {number} targetIndex
+ * @property {number | null} currentTarget
+ * @property {{ by: string, number: number, at: number }[]} finds
+ * @property {{ target: number, claims: Claim[], deadline: number } | null} pendingClaim
+ * @property {{ bestOf: number, games: number, wins: Object<string, number> }} series
+ * @property {Set<string>} rematch  members who asked for / accepted the next game
+ * @property {'continue' | 'pause'} disconnectMode
+ * @property {Object<string, number>} disconnected  sessionId -> forfeit deadline of members gone mid-game
+ * @property {Object<string, string>} forfeits  sessionId -> forfeitReason of players out of the running game
+ * @property {number | null} pausedAt  set while a 'pause' room waits for a disconnected player
+ */
+
+/**
+ * Events accepted by dispatch():
+ * - `{ type: 'connect', id, nick?, lang?, resumeToken, rttMs? }` hello accepted by the host
+ *   (resume token already checked): creates the session or brings it back online
+ * - `{ type: 'disconnect', id }` the session's connection is gone
+ * - `{ type: 'message', from, msg }` a validated client message (queue:*, room:*, game:*)
+ * - `{ type: 'rtt', id, rttMs }` new round-trip estimate
+ * - `{ type: 'tick' }` deadlines may have passed: arbitration windows, forfeits
+ * - `{ type: 'matchmake' }` periodic: bands widen, waiting players get their status
+ * - `{ type: 'sweep' }` periodic: expired seats and sessions
+ * @typedef {{ type: string, [key: string]: any }} GameEvent
+ */
+
+/** @typedef {Array<{ to: string, msg: Object }>} Outbox */
+
+function removeFromArray(arr, item) {
+  const i = arr.indexOf(item);
+  if (i >= 0) arr.splice(i, 1);
+}
+
+function parseCapacity(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return MIN_PLAYERS;
+  return Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, n));
+}
+
+function parseCountdown(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return DEFAULT_COUNTDOWN;
+  return Math.min(MAX_COUNTDOWN, Math.max(MIN_COUNTDOWN, n));
+}
+
+function parseBestOf(value) {
+  const n = parseInt(value, 10);
+  return SERIES_LENGTHS.includes(n) ? n : DEFAULT_BEST_OF;
+}
+
+function parseDisconnectMode(value) {
+  return DISCONNECT_MODES.includes(value) ? value : 'continue';
+}
+
+/**
+ * @param {Object} deps
+ * @param {{ get: (id: string) => number, recordGame: (players: Array<{ id: string, score: number }>) => Object[] }} deps.ratings
+ * @param {{ save: (replay: Object) => string }} deps.replays
+ * @param {() => number} [deps.now]
+ * @param {() => number} [deps.random]  uniform in [0, 1), for room codes
+ * @param {(bytes: number) => string} [deps.genId]  random hex id
+ * @param {() => number} [deps.genSeed]  32-bit game seed
+ * @param {(...args: any[]) => void} [deps.log]
+ * @param {Partial<GameConfig>} [deps.config]
+ */
+function createGame({
+  ratings,
+  replays,
+  now = Date.now,
+  random = Math.random,
+  genId = (bytes) => crypto.randomBytes(bytes).toString('hex'),
+  genSeed = () => crypto.randomBytes(4).readUInt32BE(0),
+  log = console.log,
+  config = {},
+}) {
+  const { lagWindowMs, forfeitGraceMs, roomMemberTtlMs, sessionTtlMs } = { ...DEFAULT_CONFIG, ...config };
+
+  /** @type {Map<string, Client>} */
+  const clients = new Map();
+  /** @type {Map<string, Room>} */
+  const rooms = new Map();
+  /** @type {string[]} oldest first */
+  const queue = [];
+  /** @type {Map<string, number>} when each queued client joined */
+  const queuedAt = new Map();
+  /** @type {number[]} waits of the last matched players, for the estimate when nobody else is queued */
+  const recentWaits = [];
+  /** @type {Arbitration[]} most recent last */
+  const arbitrations = [];
+  // Cumulative sweeper counts
+  const sweepStats = { runs: 0, lastRunAt: null, sessionsExpired: 0, membersRemoved: 0, roomsClosed: 0, gamesForfeited: 0 };
+  // Changed since the last takeChanges(), for persistence
+  const dirtySessions = new Set();
+  const dirtyRooms = new Set();
+  /** @type {Outbox} messages of the event being dispatched */
+  let outbox = [];
+
+  // --- Output ---
+  function send(id, msg) {
+    if (clients.get(id)?.online) outbox.push({ to: id, msg });
+  }
+
+  function broadcastRoom(room, msg, excludeId = null) {
+    for (const id of [...room.members, ...room.spectators]) {
+      if (excludeId && excludeId === id) continue;
+      send(id, msg);
+    }
+  }
+
+  function markRoomDirty(room) {
+    dirtyRooms.add(room.id);
+    room.members.forEach(id => dirtySessions.add(id));
+  }
+
+  function markClientDirty(client) {
+    dirtySessions.add(client.id);
+    if (client.roomId) dirtyRooms.add(client.roomId);
+    if (client.spectating) dirtyRooms.add(client.spectating);
+  }
+
+  // --- Views ---
+  function genRoomCode() {
+    // 5-char alnum code
+    const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < 5; i++) code += alphabet[Math.floor(random() * alphabet.length)];
+    if ([...rooms.values()].some(r => r.code === code)) return genRoomCode();
+    return code;
+  }
+
+  function listMembers(room) {
+    return room.members.map(id => {
+      const c = clients.get(id);
+      return {
+        id,
+        nick: c?.nick || null,
+        ready: !!c?.ready,
+        online: !!c?.online,
+        isHost: id === room.hostId,
+      };
+    });
+  }
+
+  function roomInfo(room) {
+    return { roomId: room.id, code: room.code, hostId: room.hostId, capacity: room.capacity, countdown: room.countdown, disconnectMode: room.disconnectMode, settings: room.settings, members: listMembers(room), spectators: room.spectators.length, series: seriesInfo(room) };
+  }
+
+  function computeScores(room) {
+    return room.members.map(id => ({
+      id,
+      nick: clients.get(id)?.nick || null,
+      score: (clients.get(id)?.foundNumbers?.size) || 0
+    }));
+  }
+
+  function seriesWinner(room) {
+    const needed = Math.floor(room.series.bestOf / 2) + 1;
+    return room.members.find(id => (room.series.wins[id] || 0) >= needed) || null;
+  }
+
+  function seriesInfo(room) {
+    return {
+      bestOf: room.series.bestOf,
+      games: room.series.games,
+      wins: room.members.map(id => ({ id, nick: clients.get(id)?.nick || null, wins: room.series.wins[id] || 0 })),
+      winner: seriesWinner(room),
+    };
+  }
+
+  // Line-up changed or a new series begins
+  function resetSeries(room) {
+    room.series.games = 0;
+    room.series.wins = {};
+    room.rematch.clear();
+  }
+
+  // Final standings: winner picked from authoritative scores, ties reported as such.
+  // avgFindMs is the mean time a player took for each of their finds, measured from
+  // the previous accepted find in the room (or the start of the game).
+  // Forfeiting players rank last and cannot win, whatever their score; forfeitReason says
+  // why: 'forfeit' (game:forfeit), 'leave' (room:leave) or 'timeout' (away past the grace).
+  // Those who left the room are still ranked, on the finds they made before leaving.
+  function buildGameResult(room, endedAt, reason = 'complete') {
+    const forfeits = room.forfeits;
+    const forfeited = Object.keys(forfeits);
+    const stats = new Map(room.members.map(id => [id, { total: 0, count: 0 }]));
+    let previousAt = room.startAt;
+    for (const find of room.finds) {
+      const s = stats.get(find.by);
+      if (s) {
+        s.total += Math.max(0, find.at - previousAt);
+        s.count++;
+      }
+      previousAt = find.at;
+    }
+    const departed = forfeited
+      .filter(id => !room.members.includes(id))
+      .map(id => ({ id, nick: clients.get(id)?.nick || null, score: room.finds.filter(f => f.by === id).length }));
+    const players = [...computeScores(room), ...departed]
+      .map(p => {
+        const s = stats.get(p.id);
+        const player = { ...p, avgFindMs: s && s.count > 0 ? Math.round(s.total / s.count) : null };
+        if (p.id in forfeits) {
+          player.forfeit = true;
+          player.forfeitReason = forfeits[p.id];
+        }
+        return player;
+      })
+      .sort((a, b) => (a.forfeit ? 1 : 0) - (b.forfeit ? 1 : 0) || b.score - a.score);
+    const contenders = players.filter(p => !p.forfeit);
+    const topScore = contenders.length ? contenders[0].score : 0;
+    const winners = contenders.filter(p => p.score === topScore).map(p => p.id);
+    const tie = winners.length > 1;
+    return {
+      reason,
+      forfeited,
+      winner: tie ? null : winners[0] || null,
+      tie,
+      winners,
+      result: {
+        players,
+        durationMs: Math.max(0, endedAt - room.startAt),
+        endedAt,
+      },
+    };
+  }
+
+  // Every accepted find, relative to the synchronized start, so clients can rebuild the game
+  function saveReplay(room, outcome) {
+    return replays.save({
+      id: genId(8),
+      roomId: room.id,
+      seed: room.seed,
+      settings: room.settings,
+      startAt: room.startAt,
+      players: outcome.result.players.map(({ id, nick }) => ({ id, nick })),
+      events: room.finds.map(f => ({ t: f.at - room.startAt, by: f.by, number: f.number })),
+      result: outcome.result,
+    });
+  }
+
+  // Snapshot of a running game, for a reconnecting player or a spectator joining mid-game
+  function buildResumeState(room, client) {
+    const opponentNumbers = room.members
+      .filter(memberId => memberId !== client.id)
+      .map(memberId => Array.from(clients.get(memberId)?.foundNumbers || []))
+      .flat();
+
+    // Per-player found numbers so N-player rooms can restore every mark
+    const players = room.members.map(id => ({
+      id,
+      nick: clients.get(id)?.nick || null,
+      foundNumbers: Array.from(clients.get(id)?.foundNumbers || [])
+    }));
+
+    return {
+      type: 'game:resume',
+      roomId: room.id,
+      seed: room.seed,
+      startAt: room.startAt,
+      settings: room.settings,
+      currentTarget: room.currentTarget,
+      targetIndex: room.targetIndex,
+      myFoundNumbers: room.members.includes(client.id) ? Array.from(client.foundNumbers) : [],
+      opponentFoundNumbers: opponentNumbers,
+      players,
+      scores: computeScores(room),
+      spectator: room.spectators.includes(client.id),
+      paused: room.pausedAt != null,
+      disconnected: Object.entries(room.disconnected).map(([id, deadline]) => ({ id, nick: clients.get(id)?.nick || null, deadline })),
+      forfeited: Object.keys(room.forfeits),
+    };
+  }
+
+  // --- Claims ---
+  // Estimated click time in server time: arrival minus half the RTT and the client-side delay,
+  // never moved back by more than lagWindowMs.
+  function buildClaim(client, msg, receivedAt) {
+    const clickDelayMs = Number.isFinite(msg.clickedAt) && Number.isFinite(msg.sentAt)
+      ? Math.max(0, msg.sentAt - msg.clickedAt)
+      : 0;
+    const oneWay = client.rttMs != null ? client.rttMs / 2 : 0;
+    const compensation = Math.min(lagWindowMs, oneWay + clickDelayMs);
+    return { by: client.id, receivedAt, rttMs: client.rttMs, clickDelayMs, adjustedAt: receivedAt - compensation };
+  }
+
+  // Opens the arbitration window on the first claim for the current target, or joins it
+  function submitClaim(room, number, claim) {
+    if (!room.pendingClaim) {
+      room.pendingClaim = { target: number, claims: [], deadline: claim.receivedAt + lagWindowMs };
+    }
+    if (room.pendingClaim.claims.some(c => c.by === claim.by)) return;
+    room.pendingClaim.claims.push(claim);
+  }
+
+  function settleClaims(room) {
+    const pending = room.pendingClaim;
+    room.pendingClaim = null;
+    if (!pending || !room.started || pending.target !== room.currentTarget) return;
+    // Claims of players who forfeited since are void
+    const claims = pending.claims.filter(c => !(c.by in room.forfeits));
+    if (claims.length === 0) return;
+    // Earliest adjusted click wins; arrival order breaks exact ties
+    const winner = claims
+      .slice()
+      .sort((a, b) => a.adjustedAt - b.adjustedAt || a.receivedAt - b.receivedAt)[0];
+    arbitrations.push({ roomId: room.id, target: pending.target, winner: winner.by, decidedAt: now(), claims: pending.claims });
+    if (arbitrations.length > MAX_ARBITRATION_LOG) arbitrations.shift();
+    const member = clients.get(winner.by);
+    if (member && room.members.includes(member.id)) acceptFind(room, member, pending.target);
+  }
+
+  function acceptFind(room, client, foundNumber) {
+    markRoomDirty(room);
+    // Record that this client found this number
+    client.foundNumbers.add(foundNumber);
+    room.finds.push({ by: client.id, number: foundNumber, at: now() });
+
+    // Advance to next target in the sequence for every player
+    room.targetIndex++;
+    room.currentTarget = room.targetIndex < room.sequence.length ? room.sequence[room.targetIndex] : null;
+
+    // Compute server-authoritative scores and broadcast progression
+    const scores = computeScores(room);
+    broadcastRoom(room, {
+      type: 'game:progress',
+      from: client.id,
+      found: foundNumber,
+      currentTarget: room.currentTarget,
+      targetIndex: room.targetIndex,
+      scores
+    });
+
+    // Check for game completion
+    if (room.targetIndex >= room.sequence.length) {
+      endGame(room);
+    }
+  }
+
+  // --- Game lifecycle ---
+  function startRoomGame(room) {
+    markRoomDirty(room);
+    room.started = true;
+    room.seed = genSeed();
+    room.startAt = now() + room.countdown * 1000;
+    room.sequence = buildSequence(room.settings);
+    room.targetIndex = 0;
+    room.currentTarget = room.sequence[0]; // Initialize target for this game
+    room.finds = [];
+    room.rematch.clear();
+    room.disconnected = {};
+    room.forfeits = {};
+    room.pausedAt = null;
+    room.pendingClaim = null;
+
+    // Clear found numbers for all players at game start
+    room.members.forEach(memberId => {
+      const member = clients.get(memberId);
+      if (member) member.foundNumbers.clear();
+    });
+
+    broadcastRoom(room, { type: 'game:start', roomId: room.id, seed: room.seed, startAt: room.startAt, countdown: room.countdown, settings: room.settings, series: seriesInfo(room) });
+  }
+
+  // reason: 'complete' when the sequence ran out, 'forfeit' when too few players were left
+  function endGame(room, reason = 'complete') {
+    markRoomDirty(room);
+    room.started = false; // stop
+    room.pendingClaim = null;
+    room.disconnected = {};
+    room.pausedAt = null;
+    // Standings must be computed before found numbers are cleared
+    const outcome = buildGameResult(room, now(), reason);
+    room.forfeits = {};
+    const replayId = saveReplay(room, outcome);
+    room.series.games++;
+    if (outcome.winner) room.series.wins[outcome.winner] = (room.series.wins[outcome.winner] || 0) + 1;
+    // A forfeit rates as a loss against everyone
+    const ratingChanges = ratings.recordGame(outcome.result.players.map(p => ({ id: p.id, score: p.forfeit ? -1 : p.score })));
+    room.members.forEach(memberId => {
+      const member = clients.get(memberId);
+      if (member) member.foundNumbers.clear();
+    });
+    broadcastRoom(room, { type: 'game:over', ...outcome, replayId, series: seriesInfo(room), ratings: ratingChanges });
+  }
+
+  // Mid-game drop: start the grace window, and pause the game if the room asks for it
+  function handleMemberDisconnect(room, client) {
+    if (!room.started || client.id in room.forfeits) return;
+    markRoomDirty(room);
+    const deadline = now() + forfeitGraceMs;
+    room.disconnected[client.id] = deadline;
+    if (room.disconnectMode === 'pause' && room.pausedAt == null) {
+      room.pausedAt = now();
+      room.pendingClaim = null;
+    }
+    broadcastRoom(room, { type: 'player:disconnected', id: client.id, nick: client.nick, deadline, paused: room.pausedAt != null });
+  }
+
+  // Back within the grace window; a paused game resumes once nobody is missing
+  function handleMemberReconnect(room, client) {
+    if (!room.started || !(client.id in room.disconnected)) return;
+    markRoomDirty(room);
+    delete room.disconnected[client.id];
+    resumeIfComplete(room);
+    broadcastRoom(room, { type: 'player:reconnected', id: client.id, paused: room.pausedAt != null, startAt: room.startAt }, client.id);
+  }
+
+  // A paused game goes on once nobody is missing any more
+  function resumeIfComplete(room) {
+    if (room.pausedAt == null || Object.keys(room.disconnected).length > 0) return;
+    // Shift the clock so the pause does not count as playing time
+    const pausedFor = now() - room.pausedAt;
+    room.startAt += pausedFor;
+    room.finds.forEach(f => { f.at += pausedFor; });
+    room.pausedAt = null;
+  }
+
+  // Takes players out of the running game. It goes on while two or more are still playing,
+  // and ends when one or none is left; either way the forfeits rank last in game:over.
+  function forfeitPlayers(room, ids, reason) {
+    markRoomDirty(room);
+    for (const id of ids) {
+      room.forfeits[id] = reason;
+      delete room.disconnected[id];
+    }
+    const playing = room.members.filter(id => !(id in room.forfeits));
+    if (playing.length <= 1) return endGame(room, 'forfeit');
+    resumeIfComplete(room);
+    for (const id of ids) {
+      broadcastRoom(room, { type: 'player:forfeited', id, nick: clients.get(id)?.nick || null, reason, paused: room.pausedAt != null, startAt: room.startAt });
+    }
+  }
+
+  // --- Rooms ---
+  function createRoom(hostClient, capacity = MIN_PLAYERS, settings = DEFAULT_SETTINGS, countdown = DEFAULT_COUNTDOWN, bestOf = DEFAULT_BEST_OF, disconnectMode = 'continue') {
+    const room = {
+      id: genId(6),
+      code: genRoomCode(),
+      hostId: hostClient.id,
+      members: [hostClient.id],
+      spectators: [],
+      capacity,
+      countdown,
+      settings: { ...settings },
+      started: false,
+      seed: null,
+      startAt: null,
+      sequence: [],
+      targetIndex: 0,
+      currentTarget: null,
+      finds: [],
+      pendingClaim: null,
+      series: { bestOf, games: 0, wins: {} },
+      rematch: new Set(),
+      disconnectMode,
+      disconnected: {},
+      forfeits: {},
+      pausedAt: null,
+    };
+    rooms.set(room.id, room);
+    hostClient.roomId = room.id;
+    hostClient.ready = false;
+    markRoomDirty(room);
+    return room;
+  }
+
+  function leaveRoom(client) {
+    const room = client.roomId ? rooms.get(client.roomId) : null;
+    markClientDirty(client);
+    if (room) markRoomDirty(room);
+    if (!room) { client.roomId = null; client.ready = false; client.foundNumbers?.clear(); return; }
+    removeFromArray(room.members, client.id);
+    resetSeries(room);
+    client.roomId = null;
+    client.ready = false;
+    client.foundNumbers?.clear();
+    if (room.members.length === 0) {
+      room.pendingClaim = null;
+      // Nothing left to watch
+      for (const id of room.spectators) {
+        const spectator = clients.get(id);
+        if (!spectator) continue;
+        spectator.spectating = null;
+        markClientDirty(spectator);
+        send(id, { type: 'room:left' });
+      }
+      rooms.delete(room.id);
+    } else {
+      // Reassign host if needed
+      if (!room.members.includes(room.hostId)) {
+        room.hostId = room.members[0];
+      }
+    }
+  }
+
+  function stopSpectating(client) {
+    if (!client.spectating) return;
+    const room = rooms.get(client.spectating);
+    markClientDirty(client);
+    client.spectating = null;
+    if (!room) return;
+    markRoomDirty(room);
+    removeFromArray(room.spectators, client.id);
+    broadcastRoom(room, { type: 'room:state', ...roomInfo(room) });
+  }
+
+  function findRoomByCode(code) {
+    const upper = code.toUpperCase();
+    return [...rooms.values()].find(r => r.code === upper);
+  }
+
+  // --- Matchmaking ---
+  function ratingBand(id, at = now()) {
+    const waitedSec = Math.max(0, at - (queuedAt.get(id) ?? at)) / 1000;
+    return BASE_RATING_BAND + RATING_BAND_PER_SECOND * waitedSec;
+  }
+
+  // Rating range searched for a queued player and a guess of the time left before a match
+  function queueStatus(id, at = now()) {
+    const rating = ratings.get(id);
+    const band = Math.round(ratingBand(id, at));
+    let estimatedWaitMs = null;
+    if (queue.includes(id)) {
+      // A pair matches once either player's band covers the gap between them
+      const bandWaitMs = (gap, otherId) => ((gap - BASE_RATING_BAND) / RATING_BAND_PER_SECOND) * 1000
+        - Math.max(at - (queuedAt.get(id) ?? at), at - (queuedAt.get(otherId) ?? at));
+      const others = queue.filter(other => other !== id);
+      if (others.length > 0) {
+        estimatedWaitMs = Math.max(0, Math.round(Math.min(...others.map(o => bandWaitMs(Math.abs(ratings.get(o) - rating), o)))));
+      } else if (recentWaits.length > 0) {
+        const sorted = recentWaits.slice().sort((a, b) => a - b);
+        estimatedWaitMs = sorted[Math.floor(sorted.length / 2)];
+      }
+    } else {
+      estimatedWaitMs = 0;
+    }
+    return { rating, band: { min: rating - band, max: rating + band }, estimatedWaitMs };
+  }
+
+  function tryMatchmake(at = now()) {
+    // Remove duplicates and offline users first
+    cleanQueue();
+
+    // Oldest waiter first: it has the widest band, and takes the closest rating inside it
+    for (let i = 0; i < queue.length; i++) {
+      const a = queue[i];
+      const ratingA = ratings.get(a);
+      const band = ratingBand(a, at);
+      let best = -1;
+      let bestGap = Infinity;
+      for (let j = i + 1; j < queue.length; j++) {
+        const gap = Math.abs(ratings.get(queue[j]) - ratingA);
+        if (gap <= band && gap < bestGap) {
+          best = j;
+          bestGap = gap;
+        }
+      }
+      if (best < 0) continue;
+
+      const b = queue[best];
+      queue.splice(best, 1);
+      queue.splice(i, 1);
+      i--;
+      for (const id of [a, b]) {
+        recentWaits.push(at - (queuedAt.get(id) ?? at));
+        if (recentWaits.length > MAX_RECENT_WAITS) recentWaits.shift();
+        queuedAt.delete(id);
+      }
+      const ca = clients.get(a);
+      const cb = clients.get(b);
+      log(`✅ Match trouvé: ${a} (${ratingA}) vs ${b} (${ratings.get(b)})`);
+
+      // create room
+      const room = createRoom(ca);
+      room.members.push(cb.id);
+      cb.roomId = room.id;
+      ca.ready = false; cb.ready = false;
+
+      markRoomDirty(room);
+
+      broadcastRoom(room, { type: 'match:found', ...roomInfo(room) });
+      broadcastRoom(room, { type: 'room:joined', ...roomInfo(room) });
+    }
+  }
+
+  function cleanQueue() {
+    // Remove duplicates and offline clients
+    const validQueue = [];
+    const seen = new Set();
+
+    for (const clientId of queue) {
+      if (!seen.has(clientId)) {
+        const client = clients.get(clientId);
+        if (client?.online) {
+          validQueue.push(clientId);
+          seen.add(clientId);
+        } else {
+          log(`🧹 Nettoyage: client ${clientId} retiré (hors ligne ou inexistant)`);
+        }
+      }
+    }
+
+    queue.length = 0;
+    queue.push(...validQueue);
+    for (const id of queuedAt.keys()) {
+      if (!seen.has(id)) queuedAt.delete(id);
+    }
+  }
+
+  // --- Events ---
+  function onConnect({ id, nick, lang, resumeToken, rttMs = null }) {
+    let client = clients.get(id);
+    if (client) {
+      client.online = true;
+      client.nick = nick || client.nick || null;
+      client.rttMs = rttMs;
+      client.lang = lang || client.lang || DEFAULT_LOCALE;
+      client.resumeToken = resumeToken;
+    } else {
+      client = {
+        id,
+        online: true,
+        roomId: null,
+        spectating: null,
+        ready: false,
+        lastSeen: now(),
+        nick: nick || null,
+        foundNumbers: new Set(),
+        rttMs,
+        resumeToken,
+        lang: lang || DEFAULT_LOCALE,
+      };
+      clients.set(id, client);
+    }
+    markClientDirty(client);
+    // If in a room, resend state to help resume
+    if (client.roomId && rooms.has(client.roomId)) {
+      const room = rooms.get(client.roomId);
+      handleMemberReconnect(room, client);
+      send(id, { type: 'room:joined', ...roomInfo(room) });
+      if (room.started && room.seed && room.startAt) {
+        send(id, buildResumeState(room, client));
+      }
+    } else if (client.spectating && rooms.has(client.spectating)) {
+      const room = rooms.get(client.spectating);
+      send(id, { type: 'room:spectating', ...roomInfo(room) });
+      if (room.started) send(id, buildResumeState(room, client));
+    }
+  }
+
+  function onDisconnect({ id }) {
+    const client = clients.get(id);
+    if (!client?.online) return;
+    client.online = false;
+    client.lastSeen = now();
+    markClientDirty(client);
+    // inform room
+    if (client.roomId && rooms.has(client.roomId)) {
+      const room = rooms.get(client.roomId);
+      broadcastRoom(room, { type: 'room:state', ...roomInfo(room) });
+      handleMemberDisconnect(room, client);
+    }
+  }
+
+  // msg has passed validateMessage: only the fields of its schema, already typed and trimmed
+  // Handlers mark what they change for persistence: claims, syncs and the queue write nothing
+  function onMessage({ from, msg }) {
+    const client = clients.get(from);
+    if (!client) return;
+    handleMessage(client, msg);
+  }
+
+  function handleMessage(client, msg) {
+    const t = msg.type;
+    const fail = (code, params) => send(client.id, errorMessage(code, { lang: client.lang, requestId: msg.requestId, requestType: t, params }));
+    if (t === 'queue:join') {
+      stopSpectating(client);
+      if (!queue.includes(client.id)) {
+        queue.push(client.id);
+        queuedAt.set(client.id, now());
+        log(`➕ Joueur ${client.id} (${client.nick || 'sans nom'}) rejoint la queue`);
+      } else {
+        log(`⚠️ Joueur ${client.id} déjà dans la queue`);
+      }
+      tryMatchmake();
+      send(client.id, { type: 'queue:ok', ...queueStatus(client.id) });
+    }
+    else if (t === 'queue:leave') {
+      removeFromArray(queue, client.id);
+      queuedAt.delete(client.id);
+      log(`➖ Joueur ${client.id} (${client.nick || 'sans nom'}) quitte la queue`);
+      send(client.id, { type: 'queue:left' });
+    }
+    else if (t === 'room:create') {
+      // leave queue/room first
+      removeFromArray(queue, client.id);
+      const settings = parseSettings(msg.settings);
+      if (!settings) return fail('INVALID_SETTINGS');
+      stopSpectating(client);
+      if (client.roomId) leaveRoom(client);
+      // Set nick from message if provided
+      if (msg.nick) client.nick = msg.nick;
+      const room = createRoom(client, parseCapacity(msg.capacity), settings, parseCountdown(msg.countdown), parseBestOf(msg.bestOf), parseDisconnectMode(msg.disconnectMode));
+      send(client.id, { type: 'room:created', ...roomInfo(room) });
+    }
+    else if (t === 'room:join') {
+      const room = findRoomByCode(msg.code);
+      if (!room) return fail('ROOM_NOT_FOUND');
+      if (room.started) return fail('GAME_IN_PROGRESS');
+      if (!room.members.includes(client.id) && room.members.length >= room.capacity) return fail('ROOM_FULL');
+      // Set nick from message if provided
+      if (msg.nick) client.nick = msg.nick;
+      // leave from previous if any
+      removeFromArray(queue, client.id);
+      stopSpectating(client);
+      if (client.roomId && client.roomId !== room.id) leaveRoom(client);
+      if (!room.members.includes(client.id)) {
+        room.members.push(client.id);
+        resetSeries(room);
+      }
+      client.roomId = room.id;
+      client.ready = false;
+      markRoomDirty(room);
+      broadcastRoom(room, { type: 'room:joined', ...roomInfo(room) });
+    }
+    else if (t === 'room:spectate') {
+      // Watch a room (running or not) without taking a seat
+      const room = findRoomByCode(msg.code);
+      if (!room) return fail('ROOM_NOT_FOUND');
+      if (room.members.includes(client.id)) return fail('ALREADY_PLAYING');
+      removeFromArray(queue, client.id);
+      if (client.roomId) leaveRoom(client);
+      if (client.spectating !== room.id) stopSpectating(client);
+      if (!room.spectators.includes(client.id)) room.spectators.push(client.id);
+      client.spectating = room.id;
+      markClientDirty(client);
+      send(client.id, { type: 'room:spectating', ...roomInfo(room) });
+      if (room.started) send(client.id, buildResumeState(room, client));
+      broadcastRoom(room, { type: 'room:state', ...roomInfo(room) }, client.id);
+    }
+    else if (t === 'room:leave') {
+      stopSpectating(client);
+      if (client.roomId) {
+        const room = rooms.get(client.roomId);
+        // Walking out of a running game is a forfeit
+        if (room?.started) forfeitPlayers(room, [client.id], 'leave');
+        leaveRoom(client);
+        if (room) broadcastRoom(room, { type: 'room:state', ...roomInfo(room) });
+      }
+      send(client.id, { type: 'room:left' });
+    }
+    else if (t === 'room:ready') {
+      const room = rooms.get(client.roomId);
+      if (!room) return fail('NOT_IN_ROOM');
+      client.ready = msg.ready;
+      markClientDirty(client);
+      broadcastRoom(room, { type: 'room:state', ...roomInfo(room) });
+    }
+    else if (t === 'room:start') {
+      const room = rooms.get(client.roomId);
+      if (!room) return fail('NOT_IN_ROOM');
+      if (room.hostId !== client.id) return fail('NOT_HOST');
+      if (room.members.length < MIN_PLAYERS) return fail('NOT_ENOUGH_PLAYERS', { min: MIN_PLAYERS });
+      const allReady = room.members.every(id => clients.get(id)?.ready);
+      if (!allReady) return fail('PLAYERS_NOT_READY');
+      if (seriesWinner(room)) resetSeries(room);
+      startRoomGame(room);
+    }
+    else if (t === 'room:rematch') {
+      // accept defaults to true. The first request opens it, the others accept or decline
+      const room = rooms.get(client.roomId);
+      if (!room) return fail('NOT_IN_ROOM');
+      if (room.started) return fail('GAME_IN_PROGRESS');
+      if (room.series.games === 0) return fail('NO_GAME_TO_REPLAY');
+      if (room.members.length < MIN_PLAYERS) return fail('NOT_ENOUGH_PLAYERS', { min: MIN_PLAYERS });
+      markRoomDirty(room);
+      if (msg.accept === false) {
+        room.rematch.clear();
+        return broadcastRoom(room, { type: 'room:rematch', requestedBy: null, accepted: [], declinedBy: client.id });
+      }
+      const requestedBy = room.rematch.size === 0 ? client.id : null;
+      room.rematch.add(client.id);
+      broadcastRoom(room, { type: 'room:rematch', requestedBy, accepted: Array.from(room.rematch), declinedBy: null });
+      if (room.members.every(id => room.rematch.has(id))) {
+        // A finished series starts over; otherwise this is its next game
+        if (seriesWinner(room)) resetSeries(room);
+        startRoomGame(room);
+      }
+    }
+    else if (t === 'game:forfeit') {
+      const room = rooms.get(client.roomId);
+      if (!room) return fail('NOT_IN_ROOM');
+      if (!room.started || client.id in room.forfeits) return fail('NO_GAME_IN_PROGRESS');
+      forfeitPlayers(room, [client.id], 'forfeit');
+    }
+    else if (t === 'game:progress') {
+      if (!client.roomId) return;
+      const room = rooms.get(client.roomId);
+      if (!room || !room.started || room.pausedAt != null || client.id in room.forfeits) return;
+
+      const foundNumber = msg.found;
+
+      // Only process if the client found the current target number; near-simultaneous
+      // claims are held for lagWindowMs and the earliest latency-adjusted click wins
+      if (foundNumber === room.currentTarget) {
+        submitClaim(room, foundNumber, buildClaim(client, msg, now()));
+      }
+      // If wrong number sent, ignore (shouldn't happen with proper client logic)
+    }
+  }
+
+  // Arbitration windows that closed, then disconnected players out of time
+  function onTick() {
+    const at = now();
+    for (const room of [...rooms.values()]) {
+      if (room.pendingClaim && room.pendingClaim.deadline <= at) settleClaims(room);
+      if (!room.started) continue;
+      // Everyone whose window has run out forfeits together
+      const forfeited = Object.keys(room.disconnected).filter(id => room.disconnected[id] <= at);
+      if (forfeited.length > 0) forfeitMatch(room, forfeited);
+    }
+  }
+
+  // Forfeits the players still away, whether their deadline ran out (tick) or the sweeper
+  // found them offline past the grace period; both count in sweepStats
+  function forfeitMatch(room, forfeited) {
+    log(`🏳️ Forfait dans la salle ${room.code}: ${forfeited.join(', ')}`);
+    sweepStats.gamesForfeited++;
+    forfeitPlayers(room, forfeited, 'timeout');
+  }
+
+  // Bands widen with time, so waiting players are re-matched and told their new band
+  function onMatchmake() {
+    if (queue.length === 0) return;
+    tryMatchmake();
+    const at = now();
+    for (const id of queue) send(id, { type: 'queue:ok', ...queueStatus(id, at) });
+  }
+
+  function onSweep() {
+    const at = now();
+    sweepStats.runs++;
+    sweepStats.lastRunAt = at;
+    const offlineFor = (c) => (c.online ? 0 : at - (c.lastSeen || 0));
+
+    for (const room of [...rooms.values()]) {
+      if (room.started) {
+        const forfeited = room.members.filter(id => {
+          const c = clients.get(id);
+          return !(id in room.forfeits) && (!c || offlineFor(c) > forfeitGraceMs);
+        });
+        if (forfeited.length === 0) continue;
+        forfeitMatch(room, forfeited);
+      }
+      // Free the seats of members gone for too long; the room closes with its last member
+      for (const id of [...room.members]) {
+        const c = clients.get(id);
+        if (c && offlineFor(c) <= roomMemberTtlMs) continue;
+        sweepStats.membersRemoved++;
+        if (c) {
+          leaveRoom(c);
+        } else {
+          removeFromArray(room.members, id);
+          markRoomDirty(room);
+        }
+        if (!rooms.has(room.id)) {
+          sweepStats.roomsClosed++;
+          log(`🧹 Salle ${room.code} fermée (abandonnée)`);
+          break;
+        }
+        broadcastRoom(room, { type: 'room:state', ...roomInfo(room) });
+        broadcastRoom(room, { type: 'room:notice', message: `${c?.nick || 'Un joueur'} a été retiré de la salle (inactif)` });
+      }
+      if (rooms.has(room.id) && room.members.length === 0) {
+        rooms.delete(room.id);
+        dirtyRooms.add(room.id);
+        sweepStats.roomsClosed++;
+      }
+    }
+
+    for (const c of [...clients.values()]) {
+      if (c.roomId || queue.includes(c.id) || offlineFor(c) <= sessionTtlMs) continue;
+      if (c.spectating) stopSpectating(c);
+      clients.delete(c.id);
+      dirtySessions.add(c.id);
+      sweepStats.sessionsExpired++;
+    }
+  }
+
+  const HANDLERS = {
+    connect: onConnect,
+    disconnect: onDisconnect,
+    message: onMessage,
+    rtt: ({ id, rttMs }) => { const c = clients.get(id); if (c) c.rttMs = rttMs; },
+    tick: onTick,
+    matchmake: onMatchmake,
+    sweep: onSweep,
+  };
+
+  /**
+   * Applies one event.
+   * @param {GameEvent} event
+   * @returns {Outbox}
+   */
+  function dispatch(event) {
+    const handler = HANDLERS[event.type];
+    if (!handler) throw new Error(`unknown game event ${event.type}`);
+    outbox = [];
+    handler(event);
+    const out = outbox;
+    outbox = [];
+    return out;
+  }
+
+  // Earliest time a `tick` has something to do, or null
+  function nextDeadline() {
+    let next = null;
+    const earliest = (at) => { if (next === null || at < next) next = at; };
+    for (const room of rooms.values()) {
+      if (room.pendingClaim) earliest(room.pendingClaim.deadline);
+      if (room.started) Object.values(room.disconnected).forEach(earliest);
+    }
+    return next;
+  }
+
+  // --- Persistence ---
+  // Connection state and pending claims are runtime-only; everything else round-trips through JSON
+  function serializeClient(c) {
+    return {
+      id: c.id,
+      nick: c.nick,
+      roomId: c.roomId,
+      spectating: c.spectating,
+      ready: c.ready,
+      lastSeen: c.lastSeen,
+      foundNumbers: Array.from(c.foundNumbers),
+      resumeToken: c.resumeToken,
+      lang: c.lang,
+    };
+  }
+
+  function serializeRoom(room) {
+    const { pendingClaim, rematch, ...rest } = room;
+    return { ...rest, rematch: Array.from(rematch) };
+  }
+
+  /**
+   * What changed since the last call: serialized sessions and rooms, null for deleted ones.
+   * @returns {{ sessions: Array<[string, Object | null]>, rooms: Array<[string, Object | null]> }}
+   */
+  function takeChanges() {
+    const changes = {
+      sessions: [...dirtySessions].map(id => [id, clients.has(id) ? serializeClient(clients.get(id)) : null]),
+      rooms: [...dirtyRooms].map(id => [id, rooms.has(id) ? serializeRoom(rooms.get(id)) : null]),
+    };
+    dirtySessions.clear();
+    dirtyRooms.clear();
+    return changes;
+  }
+
+  // Reloads saved sessions and rooms; nobody is connected after a restart
+  function restore({ sessions, rooms: savedRooms }) {
+    for (const s of sessions) {
+      // Downtime does not count against the forfeit grace or the TTLs: the clock restarts at boot
+      clients.set(s.id, { ...s, online: false, lastSeen: now(), foundNumbers: new Set(s.foundNumbers || []), rttMs: null });
+    }
+    for (const r of savedRooms) {
+      rooms.set(r.id, { disconnectMode: 'continue', pausedAt: null, forfeits: {}, ...r, pendingClaim: null, rematch: new Set(r.rematch || []), disconnected: {} });
+    }
+    // Every player of a running game gets a fresh grace window
+    for (const room of rooms.values()) {
+      if (!room.started) continue;
+      room.members.forEach(id => { if (clients.has(id)) handleMemberDisconnect(room, clients.get(id)); });
+    }
+  }
+
+  // Read-only view for /debug
+  function inspect() {
+    return {
+      clients: {
+        total: clients.size,
+        online: Array.from(clients.values()).filter(c => c.online).length,
+        list: Array.from(clients.entries()).map(([id, client]) => ({
+          id,
+          online: client.online,
+          roomId: client.roomId,
+          ready: client.ready,
+          nick: client.nick,
+          rttMs: client.rttMs
+        }))
+      },
+      rooms: {
+        total: rooms.size,
+        list: Array.from(rooms.values()).map(room => ({
+          id: room.id,
+          code: room.code,
+          started: room.started,
+          capacity: room.capacity,
+          settings: room.settings,
+          members: room.members.length,
+          spectators: room.spectators.length,
+          membersList: listMembers(room)
+        }))
+      },
+      queue: {
+        length: queue.length,
+        players: queue.map(id => {
+          const client = clients.get(id);
+          return {
+            id,
+            online: client?.online || false,
+            nick: client?.nick || null,
+            ...queueStatus(id)
+          };
+        })
+      },
+      arbitration: {
+        windowMs: lagWindowMs,
+        recent: arbitrations
+      },
+    };
+  }
+
+  return {
+    dispatch,
+    nextDeadline,
+    takeChanges,
+    restore,
+    inspect,
+    session: (id) => clients.get(id),
+    get sessionCount() { return clients.size; },
+    get roomCount() { return rooms.size; },
+    get dirty() { return dirtySessions.size > 0 || dirtyRooms.size > 0; },
+    sweepStats,
+  };
+}
+
+module.exports = { createGame, MIN_PLAYERS, MAX_PLAYERS, DISCONNECT_MODES, DEFAULT_CONFIG };
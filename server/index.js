@@ -1,42 +1,130 @@
 // Minimal WebSocket + matchmaking/rooms server (no external deps)
 // Usage: node server/index.js
+//
+// This file is the host: HTTP routes, connections and sessions (hello, resume tokens,
+// flood limits). Room and match rules live in game.js, the WebSocket protocol in ws.js.
 
 const http = require('http');
 const crypto = require('crypto');
+const path = require('path');
+const { createLeaderboard, PERIODS } = require('./leaderboard');
+const { seededShuffle, validateRun } = require('./anticheat');
+const { createReplayStore } = require('./replays');
+const { createRatingStore } = require('./ratings');
+const { createStateStore } = require('./persistence');
+const { validateMessage, allowedBeforeHello, errorMessage } = require('./protocol');
+const { createRateLimiter, createBanList } = require('./ratelimit');
+const { OPCODES, CLOSE_CODES, handshake, createConnection, sendData, sendText, sendClose } = require('./ws');
+const { DEFAULT_SETTINGS, parseSettings, buildValues, buildSequence, modeKey } = require('./settings');
+const { createGame } = require('./game');
 
 const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// HTTP API (leaderboard) is called cross-origin from the web front-end
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_SOLO_TIME_MS = 60 * 60 * 1000;
+// Daily challenge seeds are derived from this secret and the UTC date
+const DAILY_SECRET = process.env.DAILY_SECRET || 'shaka-daily';
+
+// Matchmaking re-runs this often, as waiting bands widen with time
+const MATCHMAKING_TICK_MS = 2000;
+
+// Sweeper: offline sessions expire, idle lobby seats are freed, and a running game is
+// forfeited by a player who stays disconnected past the grace period
+const SWEEP_INTERVAL_MS = process.env.SWEEP_INTERVAL_MS ? parseInt(process.env.SWEEP_INTERVAL_MS, 10) : 5000;
+const SESSION_TTL_MS = process.env.SESSION_TTL_MS ? parseInt(process.env.SESSION_TTL_MS, 10) : 24 * 60 * 60 * 1000;
+const ROOM_MEMBER_TTL_MS = process.env.ROOM_MEMBER_TTL_MS ? parseInt(process.env.ROOM_MEMBER_TTL_MS, 10) : 5 * 60 * 1000;
+const FORFEIT_GRACE_MS = process.env.FORFEIT_GRACE_MS ? parseInt(process.env.FORFEIT_GRACE_MS, 10) : 30 * 1000;
+// Replays are deleted by the sweep once older than REPLAY_TTL_MS or beyond the MAX_REPLAYS newest
+const REPLAY_TTL_MS = process.env.REPLAY_TTL_MS ? parseInt(process.env.REPLAY_TTL_MS, 10) : 30 * 24 * 60 * 60 * 1000;
+const MAX_REPLAYS = process.env.MAX_REPLAYS ? parseInt(process.env.MAX_REPLAYS, 10) : 10000;
+
+// Heartbeat pings carry their send time so each pong yields an RTT sample
+const HEARTBEAT_INTERVAL_MS = 10000;
+const RTT_SMOOTHING = 0.25;
+// Claims for the same target arriving within this window are settled on latency-adjusted
+// time; it is also the most a claim can be moved back, so no later claim could still win.
+const LAG_WINDOW_MS = process.env.LAG_WINDOW_MS ? parseInt(process.env.LAG_WINDOW_MS, 10) : 80;
+
+// Flood protection. Frames above MAX_FRAME_BYTES are refused from their header (close 1009).
+// Each connection has a token bucket per message type, each IP a shared budget for all its
+// frames and new connections; going over is a strike, and BAN_STRIKES strikes within
+// BAN_WINDOW_MS ban the address for BAN_MS.
+const MAX_FRAME_BYTES = process.env.MAX_FRAME_BYTES ? parseInt(process.env.MAX_FRAME_BYTES, 10) : 64 * 1024;
+const MESSAGE_LIMITS = {
+  'game:progress': { capacity: 20, perSecond: 10 },
+  'room:create': { capacity: 3, perSecond: 0.2 },
+  'room:join': { capacity: 5, perSecond: 1 },
+  'room:spectate': { capacity: 5, perSecond: 1 },
+  'queue:join': { capacity: 5, perSecond: 0.5 },
+  hello: { capacity: 5, perSecond: 0.5 },
+  'time:sync': { capacity: 10, perSecond: 5 },
+};
+const DEFAULT_MESSAGE_LIMIT = { capacity: 10, perSecond: 2 };
+const IP_FRAME_LIMIT = { capacity: 200, perSecond: 50 };
+const IP_CONNECTION_LIMIT = { capacity: 10, perSecond: 0.5 };
+const BAN_STRIKES = process.env.BAN_STRIKES ? parseInt(process.env.BAN_STRIKES, 10) : 30;
+const BAN_WINDOW_MS = 10 * 1000;
+const BAN_MS = process.env.BAN_MS ? parseInt(process.env.BAN_MS, 10) : 60 * 1000;
+// Behind a reverse proxy, the client address is the first X-Forwarded-For entry
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+
+// permessage-deflate for the browsers that offer it (PERMESSAGE_DEFLATE=0 turns it off).
+// Messages under DEFLATE_THRESHOLD bytes go out as is. DEFLATE_CONTEXT_TAKEOVER=0 makes
+// both sides compress each message on its own: less zlib memory per connection, worse ratio.
+const PERMESSAGE_DEFLATE = process.env.PERMESSAGE_DEFLATE === '0' ? false : {
+  threshold: process.env.DEFLATE_THRESHOLD ? parseInt(process.env.DEFLATE_THRESHOLD, 10) : 1024,
+  serverNoContextTakeover: process.env.DEFLATE_CONTEXT_TAKEOVER === '0',
+  clientNoContextTakeover: process.env.DEFLATE_CONTEXT_TAKEOVER === '0',
+};
 
 // --- In-memory state ---
-/** @type {Map<string, Client>} */
-const clients = new Map();
-/** @type {Map<string, Room>} */
-const rooms = new Map();
-/** @type {string[]} */
-const queue = [];
+const leaderboard = createLeaderboard(path.join(DATA_DIR, 'leaderboard.jsonl'));
+const replays = createReplayStore(path.join(DATA_DIR, 'replays'), { maxAgeMs: REPLAY_TTL_MS, maxCount: MAX_REPLAYS });
+const ratings = createRatingStore(path.join(DATA_DIR, 'ratings.json'));
+// Sessions, rooms and the queue; see game.js
+const game = createGame({
+  ratings,
+  replays,
+  config: { lagWindowMs: LAG_WINDOW_MS, forfeitGraceMs: FORFEIT_GRACE_MS, roomMemberTtlMs: ROOM_MEMBER_TTL_MS, sessionTtlMs: SESSION_TTL_MS },
+});
+/** @type {Map<string, import('net').Socket>} sessionId -> socket of its current connection */
+const sockets = new Map();
+// Sessions and rooms are written through to this store and restored from it on boot
+const stateStore = createStateStore(process.env.STATE_STORE || 'file', path.join(DATA_DIR, 'state'));
+let flushScheduled = false;
+// The game's next deadline and the timer set for it
+let wakeTimer = null;
+let wakeAt = null;
+/** @type {Map<string, SoloRun>} */
+const soloRuns = new Map();
+const limiter = createRateLimiter();
+const bans = createBanList({ strikes: BAN_STRIKES, windowMs: BAN_WINDOW_MS, banMs: BAN_MS });
+// Cumulative flood protection counts, reported by /debug
+const floodStats = { limited: {}, oversizedFrames: 0, rejectedConnections: 0 };
+let connectionSeq = 0;
+// Connections accepted with and without permessage-deflate, reported by /debug
+const compressionStats = { deflate: 0, plain: 0 };
+// "<date>:<sessionId>" for every ranked daily attempt started; submitted ones are rebuilt from the leaderboard
+const dailyAttempts = new Set(leaderboard.filter(e => e.daily).map(e => `${e.daily}:${e.sessionId}`));
 
 // Types (JSDoc)
-/**
- * @typedef {Object} Client
- * @property {string} id
- * @property {import('net').Socket} socket
- * @property {boolean} online
- * @property {string | null} roomId
- * @property {boolean} ready
- * @property {number} lastSeen
- * @property {string | null} nick
- * @property {Set<number>} foundNumbers
- */
 
 /**
- * @typedef {Object} Room
+ * Seed issued for a solo game; a leaderboard submission must replay against it
+ * @typedef {Object} SoloRun
  * @property {string} id
- * @property {string} code
- * @property {string} hostId
- * @property {string[]} members
- * @property {boolean} started
- * @property {number | null} seed
- * @property {number | null} startAt
- * @property {number} currentTarget
+ * @property {string} sessionId
+ * @property {number} seed
+ * @property {import('./settings').GameSettings} settings
+ * @property {string | null} daily  UTC date when the run is the daily challenge
+ * @property {number} issuedAt
  */
 
 // --- Helpers ---
@@ -44,83 +132,85 @@ function genId(len = 16) {
   return crypto.randomBytes(len).toString('hex');
 }
 
-function genRoomCode() {
-  // 5-char alnum code
-  const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
-  let code = '';
-  for (let i = 0; i < 5; i++) code += alphabet[Math.floor(Math.random() * alphabet.length)];
-  if ([...rooms.values()].some(r => r.code === code)) return genRoomCode();
-  return code;
+// Constant-time check of a resume token; both sides are hashed so lengths always match
+function tokenMatches(client, token) {
+  if (!client?.resumeToken || typeof token !== 'string') return false;
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(client.resumeToken), hash(token));
+}
+
+// HTTP calls identify the player with the same sessionId + resumeToken pair as hello
+function authenticatedClient(body) {
+  const sessionId = typeof body?.sessionId === 'string' ? body.sessionId : null;
+  const client = sessionId ? game.session(sessionId) : null;
+  return tokenMatches(client, body?.resumeToken) ? client : null;
 }
 
 function uNow() {
   return Date.now();
 }
 
-function listMembers(room) {
-  return room.members.map(id => {
-    const c = clients.get(id);
-    return {
-      id,
-      nick: c?.nick || null,
-      ready: !!c?.ready,
-      online: !!c?.online,
-      isHost: id === room.hostId,
-    };
-  });
+// --- Game events ---
+// Runs one event through the game and delivers what comes out
+function run(event) {
+  deliver(game.dispatch(event));
 }
 
-function broadcastRoom(room, msg, excludeId = null) {
-  for (const id of room.members) {
-    if (excludeId && excludeId === id) continue;
-    const c = clients.get(id);
-    if (c?.online) sendJson(c.socket, msg);
+/** @param {import('./game').Outbox} outbox */
+function deliver(outbox) {
+  for (const { to, msg } of outbox) {
+    const socket = sockets.get(to);
+    if (socket) sendJson(socket, msg);
   }
+  if (game.dirty) scheduleFlush();
+  armWake();
 }
 
-function removeFromArray(arr, item) {
-  const i = arr.indexOf(item);
-  if (i >= 0) arr.splice(i, 1);
+// Claims and forfeit windows are deadlines in the game state: wake it for the earliest one
+function armWake() {
+  const at = game.nextDeadline();
+  if (at === wakeAt) return;
+  clearTimeout(wakeTimer);
+  wakeAt = at;
+  if (at == null) return;
+  wakeTimer = setTimeout(() => {
+    wakeAt = null;
+    run({ type: 'tick' });
+  }, Math.max(0, at - uNow()));
 }
 
-// --- Minimal WS framing ---
-function createAcceptValue(key) {
-  return crypto
-    .createHash('sha1')
-    .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11', 'binary')
-    .digest('base64');
-}
-
-function sendData(socket, dataBuffer, opcode = 0x1) {
-  // Server-to-client frames are not masked
-  const payloadLength = dataBuffer.length;
-  let header;
-
-  if (payloadLength < 126) {
-    header = Buffer.alloc(2);
-    header[0] = 0x80 | opcode; // FIN + opcode
-    header[1] = payloadLength; // no mask bit
-  } else if (payloadLength < 65536) {
-    header = Buffer.alloc(4);
-    header[0] = 0x80 | opcode;
-    header[1] = 126;
-    header.writeUInt16BE(payloadLength, 2);
-  } else {
-    header = Buffer.alloc(10);
-    header[0] = 0x80 | opcode;
-    header[1] = 127;
-    // Write 64-bit length; we only support up to 2^53-1 realistically
-    header.writeUInt32BE(0, 2);
-    header.writeUInt32BE(payloadLength, 6);
+// --- Persistence ---
+function restoreState() {
+  const saved = stateStore.load();
+  game.restore(saved);
+  if (saved.sessions.length || saved.rooms.length) {
+    console.log(`💾 État restauré: ${saved.sessions.length} sessions, ${saved.rooms.length} salles`);
   }
+  scheduleFlush();
+  armWake();
+}
 
-  socket.write(Buffer.concat([header, dataBuffer]));
+// Changes are collected during a tick and written once, after the handlers are done mutating
+function scheduleFlush() {
+  if (flushScheduled) return;
+  flushScheduled = true;
+  setImmediate(flushState);
 }
 
-function sendText(socket, text) {
-  sendData(socket, Buffer.from(text));
+function flushState() {
+  flushScheduled = false;
+  const { sessions, rooms } = game.takeChanges();
+  for (const [id, session] of sessions) {
+    if (session) stateStore.putSession(session);
+    else stateStore.deleteSession(id);
+  }
+  for (const [id, room] of rooms) {
+    if (room) stateStore.putRoom(room);
+    else stateStore.deleteRoom(id);
+  }
 }
 
+// --- WS messages ---
 function sendJson(socket, obj) {
   try {
     sendText(socket, JSON.stringify(obj));
@@ -129,105 +219,215 @@ function sendJson(socket, obj) {
   }
 }
 
-function readFrames(bufferState, chunk, onFrame) {
-  // Simple frame parser for masked text frames (client->server). No fragmentation.
-  bufferState.buffer = Buffer.concat([bufferState.buffer, chunk]);
-  const buf = bufferState.buffer;
-  let offset = 0;
-  while (buf.length - offset >= 2) {
-    const byte1 = buf[offset];
-    const byte2 = buf[offset + 1];
-    const fin = (byte1 & 0x80) === 0x80;
-    const opcode = byte1 & 0x0f;
-    const masked = (byte2 & 0x80) === 0x80;
-    let payloadLen = byte2 & 0x7f;
-    let headerLen = 2;
-    if (payloadLen === 126) {
-      if (buf.length - offset < 4) break;
-      payloadLen = buf.readUInt16BE(offset + 2);
-      headerLen = 4;
-    } else if (payloadLen === 127) {
-      if (buf.length - offset < 10) break;
-      // High 32 bits ignored for our purposes
-      const high = buf.readUInt32BE(offset + 2);
-      const low = buf.readUInt32BE(offset + 6);
-      if (high !== 0) {
-        // Too large; drop
-        return false;
-      }
-      payloadLen = low;
-      headerLen = 10;
-    }
-    const maskLen = masked ? 4 : 0;
-    const totalLen = headerLen + maskLen + payloadLen;
-    if (buf.length - offset < totalLen) break;
-    let payload = buf.slice(offset + headerLen + maskLen, offset + totalLen);
-    if (masked) {
-      const mask = buf.slice(offset + headerLen, offset + headerLen + 4);
-      for (let i = 0; i < payload.length; i++) {
-        payload[i] ^= mask[i % 4];
-      }
+function clientIp(req) {
+  if (TRUST_PROXY && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+// --- HTTP helpers ---
+function sendHttpJson(res, status, obj) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
+
+function readJsonBody(req, res, onBody) {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      sendHttpJson(res, 413, { error: 'requête trop volumineuse' });
+      req.destroy();
+      return;
     }
-    if (!fin) {
-      // For simplicity: ignore/close on fragmented frames
-      return false;
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (size > MAX_BODY_BYTES) return;
+    let body;
+    try { body = JSON.parse(Buffer.concat(chunks).toString('utf8')); } catch {
+      return sendHttpJson(res, 400, { error: 'JSON invalide' });
     }
-    onFrame({ opcode, payload });
-    offset += totalLen;
+    onBody(body);
+  });
+}
+
+function publicEntry(entry, sessionId = null) {
+  return { id: entry.id, nick: entry.nick, timeMs: entry.timeMs, mode: entry.mode, at: entry.at, me: !!sessionId && entry.sessionId === sessionId };
+}
+
+function handleLeaderboardQuery(url, res) {
+  const period = url.searchParams.get('period') || 'all';
+  if (!PERIODS.includes(period)) return sendHttpJson(res, 400, { error: 'période invalide' });
+  const mode = url.searchParams.get('mode') || null;
+  const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 20));
+  const sessionId = url.searchParams.get('sessionId');
+  const entries = leaderboard.query({ period, mode, limit }).map((e, i) => ({ rank: i + 1, ...publicEntry(e, sessionId) }));
+  sendHttpJson(res, 200, { period, mode, entries });
+}
+
+function purgeSoloRuns(now = uNow()) {
+  for (const [id, run] of soloRuns) {
+    if (now - run.issuedAt > MAX_SOLO_TIME_MS) soloRuns.delete(id);
   }
-  bufferState.buffer = buf.slice(offset);
-  return true;
 }
 
-function sendClose(socket, code = 1000) {
-  const buf = Buffer.alloc(2);
-  buf.writeUInt16BE(code, 0);
-  sendData(socket, buf, 0x8);
-  try { socket.end(); } catch {}
+// Grid exactly as the client renders it for this seed (see generateNumbers in the front-end)
+function buildGrid(settings, seed) {
+  return seededShuffle(buildValues(settings), seed);
+}
+
+function utcDate(now = uNow()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function dailySeed(date) {
+  return crypto.createHash('sha256').update(`${DAILY_SECRET}:${date}`).digest().readUInt32BE(0);
+}
+
+function dailyInfo(date = utcDate()) {
+  return { date, seed: dailySeed(date), settings: { ...DEFAULT_SETTINGS } };
+}
+
+function issueSoloRun(client, settings, seed, daily = null) {
+  purgeSoloRuns();
+  const run = { id: genId(8), sessionId: client.id, seed, settings, daily, issuedAt: uNow() };
+  soloRuns.set(run.id, run);
+  return run;
+}
+
+function handleDaily(url, res) {
+  const info = dailyInfo();
+  const sessionId = url.searchParams.get('sessionId');
+  sendHttpJson(res, 200, { ...info, attempted: !!sessionId && dailyAttempts.has(`${info.date}:${sessionId}`) });
+}
+
+// One ranked attempt per session and UTC day: starting it uses it up
+function handleDailyStart(body, res) {
+  const client = authenticatedClient(body);
+  if (!client) return sendHttpJson(res, 403, { error: 'session inconnue' });
+  const info = dailyInfo();
+  const key = `${info.date}:${client.id}`;
+  if (dailyAttempts.has(key)) return sendHttpJson(res, 409, { error: 'défi du jour déjà tenté', ...info });
+  dailyAttempts.add(key);
+  const run = issueSoloRun(client, info.settings, info.seed, info.date);
+  sendHttpJson(res, 201, { runId: run.id, ...info, issuedAt: run.issuedAt });
+}
+
+function handleDailyLeaderboard(url, res) {
+  const date = url.searchParams.get('date') || utcDate();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return sendHttpJson(res, 400, { error: 'date invalide' });
+  const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 20));
+  const sessionId = url.searchParams.get('sessionId');
+  const entries = leaderboard.query({ daily: date, limit }).map((e, i) => ({ rank: i + 1, ...publicEntry(e, sessionId) }));
+  sendHttpJson(res, 200, { date, entries });
+}
+
+function handleSoloStart(body, res) {
+  const client = authenticatedClient(body);
+  if (!client) return sendHttpJson(res, 403, { error: 'session inconnue' });
+  const settings = parseSettings(body.settings);
+  if (!settings) return sendHttpJson(res, 400, { error: 'paramètres de partie invalides' });
+  const run = issueSoloRun(client, settings, crypto.randomBytes(4).readUInt32BE(0));
+  sendHttpJson(res, 201, { runId: run.id, seed: run.seed, settings: run.settings, issuedAt: run.issuedAt });
+}
+
+function handleLeaderboardSubmit(body, res) {
+  const client = authenticatedClient(body);
+  if (!client) return sendHttpJson(res, 403, { error: 'session inconnue' });
+  const run = typeof body.runId === 'string' ? soloRuns.get(body.runId) : null;
+  if (!run || run.sessionId !== client.id) return sendHttpJson(res, 403, { error: 'partie inconnue ou expirée' });
+  // A run can be submitted once, whatever the verdict
+  soloRuns.delete(run.id);
+  const verdict = validateRun({
+    grid: buildGrid(run.settings, run.seed),
+    sequence: buildSequence(run.settings),
+    log: body.log,
+    elapsedMs: uNow() - run.issuedAt,
+  });
+  if (!verdict.ok) {
+    console.log(`🚫 Score refusé pour ${client.id}: ${verdict.reason}`);
+    return sendHttpJson(res, 422, { error: verdict.reason });
+  }
+  const settings = run.settings;
+  const nick = typeof body.nick === 'string' ? body.nick.trim().substring(0, 20) || null : client.nick;
+  const entry = leaderboard.add({
+    id: genId(8),
+    sessionId: client.id,
+    nick,
+    timeMs: verdict.timeMs,
+    mode: run.daily ? 'daily' : modeKey(settings),
+    settings,
+    ...(run.daily ? { daily: run.daily } : {}),
+    runId: run.id,
+    seed: run.seed,
+    at: uNow(),
+  });
+  const rank = Object.fromEntries(PERIODS.map(p => [p, leaderboard.rankOf(entry, p)]));
+  sendHttpJson(res, 201, { entry: publicEntry(entry, client.id), rank });
 }
 
 // --- Server logic ---
 const server = http.createServer((req, res) => {
-  if (req.url === '/health') {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (url.pathname === '/leaderboard') {
+    if (req.method === 'GET') return handleLeaderboardQuery(url, res);
+    if (req.method === 'POST') return readJsonBody(req, res, (body) => handleLeaderboardSubmit(body, res));
+    return sendHttpJson(res, 405, { error: 'méthode non autorisée' });
+  }
+  if (url.pathname === '/daily') {
+    if (req.method === 'GET') return handleDaily(url, res);
+    return sendHttpJson(res, 405, { error: 'méthode non autorisée' });
+  }
+  if (url.pathname === '/daily/start') {
+    if (req.method === 'POST') return readJsonBody(req, res, (body) => handleDailyStart(body, res));
+    return sendHttpJson(res, 405, { error: 'méthode non autorisée' });
+  }
+  if (url.pathname === '/daily/leaderboard') {
+    if (req.method === 'GET') return handleDailyLeaderboard(url, res);
+    return sendHttpJson(res, 405, { error: 'méthode non autorisée' });
+  }
+  if (url.pathname.startsWith('/replay/')) {
+    if (req.method !== 'GET') return sendHttpJson(res, 405, { error: 'méthode non autorisée' });
+    return replays.get(url.pathname.slice('/replay/'.length), (replay) => {
+      if (!replay) return sendHttpJson(res, 404, { error: 'replay introuvable' });
+      sendHttpJson(res, 200, replay);
+    });
+  }
+  if (url.pathname === '/solo/start') {
+    if (req.method === 'POST') return readJsonBody(req, res, (body) => handleSoloStart(body, res));
+    return sendHttpJson(res, 405, { error: 'méthode non autorisée' });
+  }
+  if (url.pathname === '/health') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', clients: clients.size, rooms: rooms.size }));
+    res.end(JSON.stringify({ status: 'ok', clients: game.sessionCount, rooms: game.roomCount, soloRuns: soloRuns.size, ratedPlayers: ratings.size, sweeper: game.sweepStats }));
     return;
   }
-  if (req.url === '/debug') {
+  if (url.pathname === '/debug') {
     const debugInfo = {
       status: 'ok',
       timestamp: new Date().toISOString(),
-      clients: {
-        total: clients.size,
-        online: Array.from(clients.values()).filter(c => c.online).length,
-        list: Array.from(clients.entries()).map(([id, client]) => ({
-          id,
-          online: client.online,
-          roomId: client.roomId,
-          ready: client.ready,
-          nick: client.nick
-        }))
-      },
-      rooms: {
-        total: rooms.size,
-        list: Array.from(rooms.values()).map(room => ({
-          id: room.id,
-          code: room.code,
-          started: room.started,
-          members: room.members.length,
-          membersList: listMembers(room)
-        }))
+      ...game.inspect(),
+      flood: {
+        maxFrameBytes: MAX_FRAME_BYTES,
+        limited: floodStats.limited,
+        oversizedFrames: floodStats.oversizedFrames,
+        rejectedConnections: floodStats.rejectedConnections,
+        buckets: limiter.size,
+        bansIssued: bans.issued,
+        bans: bans.list()
       },
-      queue: {
-        length: queue.length,
-        players: queue.map(id => {
-          const client = clients.get(id);
-          return {
-            id,
-            online: client?.online || false,
-            nick: client?.nick || null
-          };
-        })
+      compression: {
+        enabled: !!PERMESSAGE_DEFLATE,
+        ...(PERMESSAGE_DEFLATE || {}),
+        ...compressionStats
       }
     };
     res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -239,378 +439,166 @@ const server = http.createServer((req, res) => {
 });
 
 server.on('upgrade', (req, socket) => {
-  const key = req.headers['sec-websocket-key'];
-  const version = req.headers['sec-websocket-version'];
-  if (!key || version !== '13') {
-    socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+  const ip = clientIp(req);
+  const banned = bans.isBanned(ip, uNow());
+  if (banned || limiter.take(`ip:${ip}:connect`, IP_CONNECTION_LIMIT, uNow())) {
+    floodStats.rejectedConnections++;
+    if (!banned) bans.strike(ip, 'connect', uNow());
+    socket.write('HTTP/1.1 429 Too Many Requests\r\n\r\n');
     socket.destroy();
     return;
   }
-  const accept = createAcceptValue(key.toString());
-  const headers = [
-    'HTTP/1.1 101 Switching Protocols',
-    'Upgrade: websocket',
-    'Connection: Upgrade',
-    `Sec-WebSocket-Accept: ${accept}`,
-  ];
-  socket.write(headers.concat('\r\n').join('\r\n'));
-
-  const bufferState = { buffer: Buffer.alloc(0) };
-
-  // Associate this raw socket with a temporary client until hello
-  /** @type {Client} */
+  const accepted = handshake(req, socket, { perMessageDeflate: PERMESSAGE_DEFLATE });
+  if (!accepted) return;
+  compressionStats[accepted.deflate ? 'deflate' : 'plain']++;
+
+  // Prefix of this connection's buckets
+  const bucketKey = `conn:${++connectionSeq}:`;
+  const connection = createConnection(socket, {
+    maxPayload: MAX_FRAME_BYTES,
+    deflate: accepted.deflate,
+    onMessage,
+    onError(error) {
+      if (error.code !== CLOSE_CODES.MESSAGE_TOO_BIG) return;
+      floodStats.oversizedFrames++;
+      strike('frame too big');
+    },
+    onClose: cleanup,
+  });
+
+  function closeWith(code) {
+    connection.close(code);
+  }
+
+  // One violation for this address; the one that triggers a ban also ends this connection
+  function strike(reason) {
+    const ban = bans.strike(ip, reason, uNow());
+    if (!ban) return;
+    console.log(`⛔ ${ip} banni pour ${Math.round(BAN_MS / 1000)} s (${reason})`);
+    closeWith(CLOSE_CODES.POLICY_VIOLATION);
+  }
+
+  function limited(type) {
+    floodStats.limited[type] = (floodStats.limited[type] || 0) + 1;
+    strike(`flood ${type}`);
+  }
+
+  // Session of this connection, known from hello on
+  /** @type {import('./game').Client | null} */
   let client = null;
 
-  const heartbeat = setInterval(() => {
+  // RTT measured before hello is kept until the client is known
+  let rttMs = null;
+
+  function ping() {
     try {
-      sendData(socket, Buffer.alloc(0), 0x9); // ping
+      sendData(socket, Buffer.from(String(uNow())), OPCODES.PING);
     } catch {
       clearInterval(heartbeat);
     }
-  }, 20000);
-
-  socket.on('data', (chunk) => {
-    const ok = readFrames(bufferState, chunk, ({ opcode, payload }) => {
-      if (opcode === 0x1) {
-        // text
-        let msg;
-        try { msg = JSON.parse(payload.toString('utf8')); } catch { return; }
-        handleMessage(msg);
-      } else if (opcode === 0x8) {
-        // close
-        try { socket.end(); } catch {}
-      } else if (opcode === 0x9) {
-        // ping -> pong
-        sendData(socket, payload, 0xA);
-      } else if (opcode === 0xA) {
-        // pong - ignore
+  }
+  const heartbeat = setInterval(ping, HEARTBEAT_INTERVAL_MS);
+  ping();
+
+  // Whole messages and ping/pong frames; fragments, pongs to pings and closing are handled by ws.js
+  function onMessage({ opcode, payload }) {
+    // Other connections of a banned address go at their next frame
+    if (bans.isBanned(ip, uNow())) return closeWith(CLOSE_CODES.POLICY_VIOLATION);
+    // Over the address budget: dropped without a reply
+    if (limiter.take(`ip:${ip}:frames`, IP_FRAME_LIMIT, uNow())) return limited('ip');
+    if (opcode === OPCODES.TEXT) {
+      // text: parsed, then checked against the schema of its type before dispatch
+      let raw;
+      try { raw = JSON.parse(payload.toString('utf8')); } catch { return replyError('INVALID_JSON'); }
+      const checked = validateMessage(raw);
+      if (!checked.ok) {
+        return replyError(checked.code, { requestId: checked.requestId, requestType: checked.type, field: checked.field });
       }
-    });
-    if (!ok) {
-      sendClose(socket, 1002);
+      const type = checked.msg.type;
+      const retryAfterMs = limiter.take(bucketKey + type, MESSAGE_LIMITS[type] || DEFAULT_MESSAGE_LIMIT, uNow());
+      if (retryAfterMs) {
+        limited(type);
+        if (connection.state !== 'open') return;
+        return replyError('RATE_LIMITED', { requestId: checked.msg.requestId, requestType: type, params: { seconds: Math.ceil(retryAfterMs / 1000) }, details: { retryAfterMs } });
+      }
+      handleMessage(checked.msg);
+    } else if (opcode === OPCODES.BINARY) {
+      // The protocol is JSON text only
+      closeWith(CLOSE_CODES.UNSUPPORTED_DATA);
+    } else if (opcode === OPCODES.PONG) {
+      // pong echoes our ping payload: its send time
+      const sentAt = parseInt(payload.toString('utf8'), 10);
+      if (!Number.isFinite(sentAt)) return;
+      const sample = Math.max(0, uNow() - sentAt);
+      rttMs = rttMs == null ? sample : Math.round(rttMs + RTT_SMOOTHING * (sample - rttMs));
+      if (client) run({ type: 'rtt', id: client.id, rttMs });
     }
-  });
-
-  socket.on('end', cleanup);
-  socket.on('close', cleanup);
-  socket.on('error', cleanup);
+  }
 
   function cleanup() {
     clearInterval(heartbeat);
-    if (client) {
-      client.online = false;
-      client.lastSeen = uNow();
-      // inform room
-      if (client.roomId && rooms.has(client.roomId)) {
-        const room = rooms.get(client.roomId);
-        broadcastRoom(room, { type: 'room:state', roomId: room.id, members: listMembers(room) });
-      }
+    limiter.forget(bucketKey);
+    // A session that already reconnected on a newer socket is not going offline
+    if (client && sockets.get(client.id) === socket) {
+      sockets.delete(client.id);
+      run({ type: 'disconnect', id: client.id });
     }
-    try { socket.destroy(); } catch {}
   }
 
+  function replyError(code, options = {}) {
+    sendJson(socket, errorMessage(code, { lang: client?.lang, ...options }));
+  }
+
+  // msg has passed validateMessage: only the fields of its schema, already typed and trimmed
   function handleMessage(msg) {
-    const t = msg && msg.type;
-    if (t === 'hello') {
-      // Accept a client-provided sessionId (device id) if unique; otherwise generate.
-      let id = null;
-      if (msg.sessionId && typeof msg.sessionId === 'string') {
-        const candidate = msg.sessionId.trim().slice(0, 64);
-        id = clients.has(candidate) ? candidate : candidate; // accept new or existing
-      } else {
-        id = genId(8);
-      }
-      if (clients.has(id)) {
-        // reconnect
-        const existing = clients.get(id);
-        // Close the previous socket if different to avoid duplicate connections on same id
-        if (existing.socket && existing.socket !== socket) {
-          try { sendClose(existing.socket, 1000); } catch {}
+    const t = msg.type;
+    const fail = (code, params) => replyError(code, { requestId: msg.requestId, requestType: t, params });
+    if (!client && !allowedBeforeHello(t)) return fail('HELLO_REQUIRED');
+    if (t === 'time:sync') {
+      // NTP-style sample, allowed before hello: t1 = received, t2 = sent (server clock)
+      const t1 = uNow();
+      sendJson(socket, { type: 'time:sync', t0: msg.t0, t1, t2: uNow() });
+    }
+    else if (t === 'hello') {
+      // Accept a client-provided sessionId (device id), new or existing; otherwise generate.
+      const id = msg.sessionId || genId(8);
+      const existing = game.session(id);
+      if (existing) {
+        // Sessions saved before tokens existed are claimed by their first hello
+        if (existing.resumeToken && !tokenMatches(existing, msg.resumeToken)) {
+          console.log(`🚫 Reprise refusée pour la session ${id}: jeton invalide`);
+          return fail('RESUME_TOKEN_INVALID');
         }
-        existing.socket = socket;
-        existing.online = true;
-        existing.nick = msg.nick || existing.nick || null;
-        if (!existing.foundNumbers) existing.foundNumbers = new Set();
-        client = existing;
-      } else {
-        client = {
-          id,
-          socket,
-          online: true,
-          roomId: null,
-          ready: false,
-          lastSeen: uNow(),
-          nick: msg.nick || null,
-          foundNumbers: new Set(),
-        };
-        clients.set(id, client);
-      }
-      sendJson(socket, { type: 'hello', sessionId: client.id });
-      // If in a room, resend state to help resume
-      if (client.roomId && rooms.has(client.roomId)) {
-        const room = rooms.get(client.roomId);
-        sendJson(socket, { type: 'room:joined', roomId: room.id, code: room.code, members: listMembers(room), hostId: room.hostId });
-        if (room.started && room.seed && room.startAt) {
-          // Send game resume data with current state
-          const opponentNumbers = room.members
-            .filter(memberId => memberId !== client.id)
-            .map(memberId => Array.from(clients.get(memberId)?.foundNumbers || []))
-            .flat();
-
-          const scores = room.members.map(id => ({
-            id,
-            score: (clients.get(id)?.foundNumbers?.size) || 0
-          }));
-            
-          sendJson(socket, { 
-            type: 'game:resume', 
-            roomId: room.id, 
-            seed: room.seed, 
-            startAt: room.startAt,
-            currentTarget: room.currentTarget,
-            myFoundNumbers: Array.from(client.foundNumbers),
-            opponentFoundNumbers: opponentNumbers,
-            scores
-          });
+        // Close the previous socket if different to avoid duplicate connections on same id
+        const previous = sockets.get(id);
+        if (previous && previous !== socket) {
+          try { sendClose(previous, CLOSE_CODES.NORMAL); } catch {}
         }
       }
+      sockets.set(id, socket);
+      const outbox = game.dispatch({ type: 'connect', id, nick: msg.nick, lang: msg.lang, rttMs, resumeToken: existing?.resumeToken || genId(16) });
+      client = game.session(id);
+      // hello first: the room state that follows is for the session it names
+      sendJson(socket, { type: 'hello', sessionId: client.id, resumeToken: client.resumeToken });
+      deliver(outbox);
     }
-    else if (!client) {
-      // Must say hello first
-      sendJson(socket, { type: 'error', message: 'must hello first' });
-    }
-    else if (t === 'queue:join') {
-      if (!queue.includes(client.id)) {
-        queue.push(client.id);
-        console.log(`➕ Joueur ${client.id} (${client.nick || 'sans nom'}) rejoint la queue`);
-      } else {
-        console.log(`⚠️ Joueur ${client.id} déjà dans la queue`);
-      }
-      tryMatchmake();
-      sendJson(socket, { type: 'queue:ok' });
-    }
-    else if (t === 'queue:leave') {
-      removeFromArray(queue, client.id);
-      console.log(`➖ Joueur ${client.id} (${client.nick || 'sans nom'}) quitte la queue`);
-      sendJson(socket, { type: 'queue:left' });
-    }
-    else if (t === 'room:create') {
-      // leave queue/room first
-      removeFromArray(queue, client.id);
-      if (client.roomId) leaveRoom(client);
-      // Set nick from message if provided
-      if (msg.nick && typeof msg.nick === 'string') {
-        client.nick = msg.nick.trim().substring(0, 20) || null;
-      }
-      const room = createRoom(client);
-      sendJson(socket, { type: 'room:created', roomId: room.id, code: room.code, hostId: room.hostId, members: listMembers(room) });
-    }
-    else if (t === 'room:join') {
-      // data: code
-      const code = (msg.code || '').toString().trim().toUpperCase();
-      const room = [...rooms.values()].find(r => r.code === code);
-      if (!room) return sendJson(socket, { type: 'room:error', message: 'code invalide' });
-      if (room.started) return sendJson(socket, { type: 'room:error', message: 'partie déjà commencée' });
-      if (!room.members.includes(client.id) && room.members.length >= 2) return sendJson(socket, { type: 'room:error', message: 'salle pleine' });
-      // Set nick from message if provided
-      if (msg.nick && typeof msg.nick === 'string') {
-        client.nick = msg.nick.trim().substring(0, 20) || null;
-      }
-      // leave from previous if any
-      removeFromArray(queue, client.id);
-      if (client.roomId && client.roomId !== room.id) leaveRoom(client);
-      if (!room.members.includes(client.id)) room.members.push(client.id);
-      client.roomId = room.id;
-      client.ready = false;
-      broadcastRoom(room, { type: 'room:joined', roomId: room.id, code: room.code, hostId: room.hostId, members: listMembers(room) });
-    }
-    else if (t === 'room:leave') {
-      if (client.roomId) {
-        const room = rooms.get(client.roomId);
-        leaveRoom(client);
-        if (room) broadcastRoom(room, { type: 'room:state', roomId: room.id, members: listMembers(room) });
-      }
-      sendJson(socket, { type: 'room:left' });
-    }
-    else if (t === 'room:ready') {
-      if (!client.roomId) return;
-      const room = rooms.get(client.roomId);
-      if (!room) return;
-      client.ready = !!msg.ready;
-      broadcastRoom(room, { type: 'room:state', roomId: room.id, members: listMembers(room) });
-    }
-    else if (t === 'room:start') {
-      if (!client.roomId) return;
-      const room = rooms.get(client.roomId);
-      if (!room) return;
-      if (room.hostId !== client.id) return sendJson(socket, { type: 'room:error', message: 'seul l’hôte peut lancer' });
-      if (room.members.length !== 2) return sendJson(socket, { type: 'room:error', message: 'il faut 2 joueurs' });
-      const allReady = room.members.every(id => clients.get(id)?.ready);
-      if (!allReady) return sendJson(socket, { type: 'room:error', message: 'tout le monde doit être prêt' });
-      room.started = true;
-      room.seed = crypto.randomBytes(4).readUInt32BE(0);
-      room.startAt = uNow() + 1500;
-      room.currentTarget = 1; // Initialize target for this game
-      
-      // Clear found numbers for all players at game start
-      room.members.forEach(memberId => {
-        const member = clients.get(memberId);
-        if (member) member.foundNumbers.clear();
-      });
-      
-      broadcastRoom(room, { type: 'game:start', roomId: room.id, seed: room.seed, startAt: room.startAt });
-    }
-    else if (t === 'game:progress') {
-      if (!client.roomId) return;
-      const room = rooms.get(client.roomId);
-      if (!room || !room.started) return;
-      
-      const foundNumber = typeof msg.found === 'number' ? msg.found : 0;
-      
-      // Only process if the client found the current target number
-      if (foundNumber === room.currentTarget) {
-        // Record that this client found this number
-        client.foundNumbers.add(foundNumber);
-        
-        room.currentTarget++; // Advance to next target for both players
-        
-        // Compute server-authoritative scores and broadcast progression
-        const scores = room.members.map(id => ({
-          id,
-          score: (clients.get(id)?.foundNumbers?.size) || 0
-        }));
-        broadcastRoom(room, { 
-          type: 'game:progress', 
-          from: client.id, 
-          found: foundNumber, 
-          currentTarget: room.currentTarget,
-          scores
-        });
-        
-        // Check for game completion
-        if (room.currentTarget > 100) {
-          room.started = false; // stop
-          // Clear found numbers for both players when game ends
-          room.members.forEach(memberId => {
-            const member = clients.get(memberId);
-            if (member) member.foundNumbers.clear();
-          });
-          broadcastRoom(room, { type: 'game:over', winner: client.id });
-        }
-      }
-      // If wrong number sent, ignore (shouldn't happen with proper client logic)
+    else {
+      run({ type: 'message', from: client.id, msg });
     }
   }
 });
-
-function tryMatchmake() {
-  console.log(`🔍 Tentative de matchmaking avec ${queue.length} joueurs en queue:`, queue);
-  
-  while (queue.length >= 2) {
-    // Remove duplicates and offline users first
-    cleanQueue();
-    
-    if (queue.length < 2) break;
-    
-    const a = queue.shift();
-    const ca = clients.get(a);
-    
-    if (!ca?.online) {
-      console.log(`⚠️ Joueur ${a} hors ligne, retiré de la queue`);
-      continue;
-    }
-    
-    // Find a valid opponent
-    let b = null;
-    let cb = null;
-    
-    for (let i = 0; i < queue.length; i++) {
-      const candidate = queue[i];
-      const candidateClient = clients.get(candidate);
-      
-      if (candidate !== a && candidateClient?.online) {
-        b = candidate;
-        cb = candidateClient;
-        queue.splice(i, 1); // Remove from queue
-        break;
-      }
-    }
-    
-    if (!b || !cb) {
-      console.log(`⚠️ Pas d'adversaire valide trouvé pour ${a}, remis en queue`);
-      queue.unshift(a); // Put back in queue
-      break;
-    }
-    
-    console.log(`✅ Match trouvé: ${a} vs ${b}`);
-    
-    // create room
-    const room = createRoom(ca);
-    room.members.push(cb.id);
-    cb.roomId = room.id;
-    ca.ready = false; cb.ready = false;
-    
-    broadcastRoom(room, { type: 'match:found', roomId: room.id, code: room.code, hostId: room.hostId, members: listMembers(room) });
-    broadcastRoom(room, { type: 'room:joined', roomId: room.id, code: room.code, hostId: room.hostId, members: listMembers(room) });
-  }
-  
-  console.log(`📊 Queue après matchmaking: ${queue.length} joueurs restants:`, queue);
-}
-
-function cleanQueue() {
-  // Remove duplicates and offline clients
-  const validQueue = [];
-  const seen = new Set();
-  
-  for (const clientId of queue) {
-    if (!seen.has(clientId)) {
-      const client = clients.get(clientId);
-      if (client?.online) {
-        validQueue.push(clientId);
-        seen.add(clientId);
-      } else {
-        console.log(`🧹 Nettoyage: client ${clientId} retiré (hors ligne ou inexistant)`);
-      }
-    }
-  }
-  
-  queue.length = 0;
-  queue.push(...validQueue);
-}
-
-function createRoom(hostClient) {
-  const room = {
-    id: genId(6),
-    code: genRoomCode(),
-    hostId: hostClient.id,
-    members: [hostClient.id],
-    started: false,
-    seed: null,
-    startAt: null,
-    currentTarget: 1,
-  };
-  rooms.set(room.id, room);
-  hostClient.roomId = room.id;
-  hostClient.ready = false;
-  return room;
-}
-
-function leaveRoom(client) {
-  const room = client.roomId ? rooms.get(client.roomId) : null;
-  if (!room) { client.roomId = null; client.ready = false; client.foundNumbers?.clear(); return; }
-  removeFromArray(room.members, client.id);
-  client.roomId = null;
-  client.ready = false;
-  client.foundNumbers?.clear();
-  if (room.members.length === 0) {
-    rooms.delete(room.id);
-  } else {
-    // Reassign host if needed
-    if (!room.members.includes(room.hostId)) {
-      room.hostId = room.members[0];
-    }
-  }
-}
+// Bands widen with time, so waiting players are re-matched and told their new band
+setInterval(() => run({ type: 'matchmake' }), MATCHMAKING_TICK_MS);
+
+setInterval(() => {
+  run({ type: 'sweep' });
+  const replaysDeleted = replays.prune();
+  if (replaysDeleted > 0) console.log(`🧹 ${replaysDeleted} replay(s) supprimé(s) (rétention)`);
+  limiter.prune(uNow());
+  bans.prune(uNow());
+}, SWEEP_INTERVAL_MS);
+
+restoreState();
 
 server.listen(PORT, () => {
   console.log(`✅ WebSocket server listening on port ${PORT}`);
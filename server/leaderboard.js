@@ -0,0 +1,83 @@
+// Persistent leaderboard: finished games appended to a JSON-lines file.
+// The file is the source of truth; entries are also kept in memory for queries.
+
+const fs = require('fs');
+const path = require('path');
+
+const PERIODS = ['daily', 'weekly', 'all'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} LeaderboardEntry
+ * @property {string} id
+ * @property {string} sessionId
+ * @property {string | null} nick
+ * @property {number} timeMs
+ * @property {string} mode
+ * @property {Object} settings
+ * @property {string} [daily]  UTC date (YYYY-MM-DD) of the daily challenge this entry ranks in
+ * @property {number} at
+ */
+
+// Start of the current UTC day / ISO week (Monday), or 0 for all-time
+function periodStart(period, now = Date.now()) {
+  const d = new Date(now);
+  const dayStart = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  if (period === 'daily') return dayStart;
+  if (period === 'weekly') return dayStart - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+  return 0;
+}
+
+function createLeaderboard(file) {
+  /** @type {LeaderboardEntry[]} */
+  const entries = [];
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try { entries.push(JSON.parse(line)); } catch { /* skip corrupt line */ }
+    }
+  }
+
+  /** @param {LeaderboardEntry} entry */
+  function add(entry) {
+    entries.push(entry);
+    fs.appendFile(file, JSON.stringify(entry) + '\n', (err) => {
+      if (err) console.error('❌ Écriture du classement impossible:', err.message);
+    });
+    return entry;
+  }
+
+  // Best time per session for the period/mode (or one daily challenge), fastest first
+  function query({ period = 'all', mode = null, daily = null, limit = 20, now = Date.now() } = {}) {
+    const since = periodStart(period, now);
+    const best = new Map();
+    for (const e of entries) {
+      if (e.at < since) continue;
+      if (mode && e.mode !== mode) continue;
+      if (daily && e.daily !== daily) continue;
+      const current = best.get(e.sessionId);
+      if (!current || e.timeMs < current.timeMs) best.set(e.sessionId, e);
+    }
+    return [...best.values()]
+      .sort((a, b) => a.timeMs - b.timeMs || a.at - b.at)
+      .slice(0, limit);
+  }
+
+  // 1-based position this time would hold in the period/mode ranking
+  function rankOf(entry, period = 'all') {
+    const ranked = query({ period, mode: entry.mode, daily: entry.daily || null, limit: Infinity });
+    const i = ranked.findIndex(e => e.sessionId === entry.sessionId);
+    return i >= 0 ? i + 1 : null;
+  }
+
+  function filter(predicate) {
+    return entries.filter(predicate);
+  }
+
+  return { add, query, rankOf, filter, get size() { return entries.length; } };
+}
+
+module.exports = { createLeaderboard, periodStart, PERIODS };
@@ -0,0 +1,103 @@
+// Server state persistence: sessions and rooms survive a restart.
+// A store only sees plain JSON records; index.js decides what goes in them.
+//
+// The file store keeps a snapshot plus a journal of puts/deletes written since.
+// Boot = snapshot + journal replay; the journal is folded into a new snapshot
+// every COMPACT_EVERY entries and on load.
+
+const fs = require('fs');
+const path = require('path');
+
+const COMPACT_EVERY = 1000;
+
+/**
+ * @typedef {Object} StateStore
+ * @property {() => { sessions: Object[], rooms: Object[] }} load
+ * @property {(session: { id: string }) => void} putSession
+ * @property {(id: string) => void} deleteSession
+ * @property {(room: { id: string }) => void} putRoom
+ * @property {(id: string) => void} deleteRoom
+ */
+
+/** @returns {StateStore} */
+function createMemoryStore() {
+  return {
+    load: () => ({ sessions: [], rooms: [] }),
+    putSession() {},
+    deleteSession() {},
+    putRoom() {},
+    deleteRoom() {},
+  };
+}
+
+/** @returns {StateStore} */
+function createFileStore(dir) {
+  const snapshotFile = path.join(dir, 'state.json');
+  const journalFile = path.join(dir, 'state.journal');
+  const state = { sessions: new Map(), rooms: new Map() };
+  let journalLength = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function apply({ op, kind, id, value }) {
+    const map = kind === 'room' ? state.rooms : state.sessions;
+    if (op === 'put') map.set(id, value);
+    else if (op === 'del') map.delete(id);
+  }
+
+  // Synchronous on purpose: entries must land in order, and a compaction must not race them
+  function compact() {
+    const tmp = `${snapshotFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ sessions: [...state.sessions.values()], rooms: [...state.rooms.values()] }));
+    fs.renameSync(tmp, snapshotFile);
+    fs.writeFileSync(journalFile, '');
+    journalLength = 0;
+  }
+
+  function write(entry) {
+    apply(entry);
+    try {
+      fs.appendFileSync(journalFile, JSON.stringify(entry) + '\n');
+      if (++journalLength >= COMPACT_EVERY) compact();
+    } catch (err) {
+      console.error('❌ Écriture de l’état serveur impossible:', err.message);
+    }
+  }
+
+  function load() {
+    if (fs.existsSync(snapshotFile)) {
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+        for (const s of snapshot.sessions || []) state.sessions.set(s.id, s);
+        for (const r of snapshot.rooms || []) state.rooms.set(r.id, r);
+      } catch (err) {
+        console.error('❌ Instantané d’état illisible, ignoré:', err.message);
+      }
+    }
+    if (fs.existsSync(journalFile)) {
+      for (const line of fs.readFileSync(journalFile, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        // A torn last line (crash mid-write) is skipped
+        try { apply(JSON.parse(line)); } catch { /* skip corrupt line */ }
+      }
+    }
+    compact();
+    return { sessions: [...state.sessions.values()], rooms: [...state.rooms.values()] };
+  }
+
+  return {
+    load,
+    putSession: (session) => write({ op: 'put', kind: 'session', id: session.id, value: session }),
+    deleteSession: (id) => write({ op: 'del', kind: 'session', id }),
+    putRoom: (room) => write({ op: 'put', kind: 'room', id: room.id, value: room }),
+    deleteRoom: (id) => write({ op: 'del', kind: 'room', id }),
+  };
+}
+
+// STATE_STORE=memory turns persistence off
+function createStateStore(kind, dir) {
+  if (kind === 'memory') return createMemoryStore();
+  return createFileStore(dir);
+}
+
+module.exports = { createStateStore, createFileStore, createMemoryStore };
@@ -0,0 +1,206 @@
+// WebSocket protocol: one declarative schema per client message type, checked before
+// dispatch, and the error codes the server answers with.
+//
+// A schema lists the accepted fields; anything else is dropped, so handlers only ever
+// see validated values. Errors carry a stable `code` for programs and a `message`
+// in the player's language (hello `lang`, French by default).
+
+const LOCALES = ['fr', 'en'];
+const DEFAULT_LOCALE = 'fr';
+
+const NICK_MAX_LENGTH = 20;
+// Printable text only: no control characters in names shown to other players
+const PRINTABLE = /^[^\u0000-\u001f\u007f]*$/;
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {'string' | 'number' | 'integer' | 'boolean' | 'object'} type
+ * @property {boolean} [optional]
+ * @property {boolean} [trim]  strings only; an optional field left empty is dropped
+ * @property {number} [minLength]
+ * @property {number} [maxLength]
+ * @property {RegExp} [pattern]
+ * @property {Array<string | number>} [enum]
+ * @property {number} [min]
+ * @property {number} [max]
+ */
+
+/**
+ * @typedef {Object} MessageSchema
+ * @property {boolean} [beforeHello]  accepted before the session is known
+ * @property {Object<string, FieldRule>} fields
+ */
+
+const nick = { type: 'string', optional: true, trim: true, maxLength: NICK_MAX_LENGTH, pattern: PRINTABLE };
+const roomCode = { type: 'string', trim: true, minLength: 1, maxLength: 12 };
+
+/** @type {Object<string, MessageSchema>} */
+const SCHEMAS = {
+  'time:sync': { beforeHello: true, fields: { t0: { type: 'number' } } },
+  hello: {
+    beforeHello: true,
+    fields: {
+      sessionId: { type: 'string', optional: true, trim: true, maxLength: 64, pattern: PRINTABLE },
+      resumeToken: { type: 'string', optional: true, maxLength: 128 },
+      nick,
+      lang: { type: 'string', optional: true, enum: LOCALES },
+    },
+  },
+  'queue:join': { fields: {} },
+  'queue:leave': { fields: {} },
+  'room:create': {
+    fields: {
+      nick,
+      capacity: { type: 'integer', optional: true },
+      countdown: { type: 'integer', optional: true },
+      bestOf: { type: 'integer', optional: true },
+      disconnectMode: { type: 'string', optional: true, enum: ['continue', 'pause'] },
+      settings: { type: 'object', optional: true },
+    },
+  },
+  'room:join': { fields: { code: roomCode, nick } },
+  'room:spectate': { fields: { code: roomCode } },
+  'room:leave': { fields: {} },
+  'room:ready': { fields: { ready: { type: 'boolean' } } },
+  'room:start': { fields: {} },
+  'room:rematch': { fields: { accept: { type: 'boolean', optional: true } } },
+  'game:forfeit': { fields: {} },
+  'game:progress': {
+    fields: {
+      found: { type: 'integer' },
+      clickedAt: { type: 'number', optional: true },
+      sentAt: { type: 'number', optional: true },
+    },
+  },
+};
+
+// Messages may carry a client-chosen id, echoed back in the error they cause
+const REQUEST_ID = { type: 'string', maxLength: 64, pattern: PRINTABLE };
+
+const MESSAGES = {
+  fr: {
+    INVALID_JSON: 'message illisible (JSON invalide)',
+    INVALID_MESSAGE: 'message invalide',
+    UNKNOWN_TYPE: 'type de message inconnu : {type}',
+    INVALID_FIELD: 'champ invalide : {field}',
+    HELLO_REQUIRED: 'envoyez d’abord hello',
+    RESUME_TOKEN_INVALID: 'reprise de session refusée : jeton de reprise manquant ou invalide, reconnectez-vous avec une nouvelle session',
+    INVALID_SETTINGS: 'paramètres de partie invalides',
+    ROOM_NOT_FOUND: 'code invalide',
+    ROOM_FULL: 'salle pleine',
+    GAME_IN_PROGRESS: 'partie déjà commencée',
+    ALREADY_PLAYING: 'vous jouez déjà dans cette salle',
+    NOT_IN_ROOM: 'vous n’êtes dans aucune salle',
+    NOT_HOST: 'seul l’hôte peut lancer',
+    NOT_ENOUGH_PLAYERS: 'il faut au moins {min} joueurs',
+    PLAYERS_NOT_READY: 'tout le monde doit être prêt',
+    NO_GAME_TO_REPLAY: 'aucune partie à rejouer',
+    NO_GAME_IN_PROGRESS: 'aucune partie en cours',
+    RATE_LIMITED: 'trop de messages, réessayez dans {seconds} s',
+  },
+  en: {
+    INVALID_JSON: 'unreadable message (invalid JSON)',
+    INVALID_MESSAGE: 'invalid message',
+    UNKNOWN_TYPE: 'unknown message type: {type}',
+    INVALID_FIELD: 'invalid field: {field}',
+    HELLO_REQUIRED: 'send hello first',
+    RESUME_TOKEN_INVALID: 'session resume refused: missing or invalid resume token, reconnect with a new session',
+    INVALID_SETTINGS: 'invalid game settings',
+    ROOM_NOT_FOUND: 'invalid room code',
+    ROOM_FULL: 'room is full',
+    GAME_IN_PROGRESS: 'game already started',
+    ALREADY_PLAYING: 'you are already playing in this room',
+    NOT_IN_ROOM: 'you are not in a room',
+    NOT_HOST: 'only the host can start',
+    NOT_ENOUGH_PLAYERS: 'at least {min} players are needed',
+    PLAYERS_NOT_READY: 'everyone must be ready',
+    NO_GAME_TO_REPLAY: 'no game to replay',
+    NO_GAME_IN_PROGRESS: 'no game in progress',
+    RATE_LIMITED: 'too many messages, try again in {seconds} s',
+  },
+};
+
+const ERROR_CODES = Object.keys(MESSAGES[DEFAULT_LOCALE]);
+
+// Returns the normalized value, or undefined when the rule rejects it
+function checkField(rule, value) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return undefined;
+      const s = rule.trim ? value.trim() : value;
+      if (rule.minLength != null && s.length < rule.minLength) return undefined;
+      if (rule.maxLength != null && s.length > rule.maxLength) return undefined;
+      if (rule.pattern && !rule.pattern.test(s)) return undefined;
+      if (rule.enum && !rule.enum.includes(s)) return undefined;
+      return s;
+    }
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return undefined;
+      if (rule.min != null && value < rule.min) return undefined;
+      if (rule.max != null && value > rule.max) return undefined;
+      if (rule.enum && !rule.enum.includes(value)) return undefined;
+      return value;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Checks a parsed frame against the schema of its type.
+ * @returns {{ ok: true, msg: Object } | { ok: false, code: string, field?: string, type?: string, requestId?: string }}
+ */
+function validateMessage(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, code: 'INVALID_MESSAGE' };
+  // The request id is read first so that every later error can echo it
+  const requestId = raw.requestId === undefined ? undefined : checkField(REQUEST_ID, raw.requestId);
+  if (raw.requestId !== undefined && requestId === undefined) return { ok: false, code: 'INVALID_FIELD', field: 'requestId' };
+  const fail = (code, extra = {}) => ({ ok: false, code, requestId, ...extra });
+  if (typeof raw.type !== 'string') return fail('INVALID_FIELD', { field: 'type' });
+  const schema = Object.prototype.hasOwnProperty.call(SCHEMAS, raw.type) ? SCHEMAS[raw.type] : null;
+  if (!schema) return fail('UNKNOWN_TYPE', { type: raw.type.slice(0, 64) });
+  const msg = { type: raw.type };
+  if (requestId !== undefined) msg.requestId = requestId;
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const value = raw[field];
+    if (value === undefined || value === null) {
+      if (rule.optional) continue;
+      return fail('INVALID_FIELD', { type: raw.type, field });
+    }
+    const checked = checkField(rule, value);
+    if (checked === undefined) return fail('INVALID_FIELD', { type: raw.type, field });
+    // An optional string left blank counts as absent
+    if (rule.optional && checked === '') continue;
+    msg[field] = checked;
+  }
+  return { ok: true, msg };
+}
+
+function allowedBeforeHello(type) {
+  return !!SCHEMAS[type]?.beforeHello;
+}
+
+/**
+ * Builds the `error` reply for a code.
+ * @param {string} code  one of ERROR_CODES
+ * @param {{ lang?: string, requestId?: string, requestType?: string, field?: string, params?: Object, details?: Object }} [options]
+ *   `params` fill the message, `details` are extra fields of the reply
+ */
+function errorMessage(code, { lang = DEFAULT_LOCALE, requestId, requestType, field, params = {}, details = {} } = {}) {
+  const table = MESSAGES[LOCALES.includes(lang) ? lang : DEFAULT_LOCALE];
+  const values = { field, type: requestType, ...params };
+  const message = (table[code] || code).replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '');
+  const reply = { type: 'error', code, message };
+  if (requestId !== undefined) reply.requestId = requestId;
+  if (requestType) reply.requestType = requestType;
+  if (field) reply.field = field;
+  return { ...reply, ...details };
+}
+
+module.exports = { SCHEMAS, ERROR_CODES, LOCALES, DEFAULT_LOCALE, NICK_MAX_LENGTH, validateMessage, allowedBeforeHello, errorMessage };
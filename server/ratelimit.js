@@ -0,0 +1,105 @@
+// Flood protection: token buckets per connection and per IP, and temporary bans
+// for addresses that keep hitting the limits.
+
+/**
+ * @typedef {Object} BucketRule
+ * @property {number} capacity  burst size
+ * @property {number} perSecond  refill rate
+ */
+
+/**
+ * @typedef {Object} Ban
+ * @property {string} ip
+ * @property {number} until
+ * @property {string} reason
+ */
+
+// Buckets are created full, on first use, one per key
+function createRateLimiter() {
+  /** @type {Map<string, { tokens: number, updatedAt: number, rule: BucketRule }>} */
+  const buckets = new Map();
+
+  /**
+   * Takes one token from the bucket of `key`.
+   * @returns {number} 0 when allowed, otherwise the ms until a token is back
+   */
+  function take(key, rule, now = Date.now()) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: rule.capacity, updatedAt: now, rule };
+      buckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(rule.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.perSecond);
+    bucket.updatedAt = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / rule.perSecond) * 1000);
+  }
+
+  // Drops the buckets whose key starts with `prefix` (a closed connection)
+  function forget(prefix) {
+    for (const key of buckets.keys()) {
+      if (key.startsWith(prefix)) buckets.delete(key);
+    }
+  }
+
+  // Full buckets hold no information: drop them to keep the map small
+  function prune(now = Date.now()) {
+    for (const [key, { tokens, updatedAt, rule }] of buckets) {
+      if (tokens + ((now - updatedAt) / 1000) * rule.perSecond >= rule.capacity) buckets.delete(key);
+    }
+  }
+
+  return { take, forget, prune, get size() { return buckets.size; } };
+}
+
+// An address collecting `strikes` violations within `windowMs` is banned for `banMs`
+function createBanList({ strikes, windowMs, banMs }) {
+  /** @type {Map<string, number[]>} ip -> strike times */
+  const history = new Map();
+  /** @type {Map<string, Ban>} */
+  const bans = new Map();
+  let issued = 0;
+
+  function isBanned(ip, now = Date.now()) {
+    const ban = bans.get(ip);
+    if (!ban) return false;
+    if (ban.until > now) return true;
+    bans.delete(ip);
+    return false;
+  }
+
+  /** @returns {Ban | null} the ban when this strike triggers one */
+  function strike(ip, reason, now = Date.now()) {
+    const recent = (history.get(ip) || []).filter(t => now - t < windowMs);
+    recent.push(now);
+    if (recent.length < strikes) {
+      history.set(ip, recent);
+      return null;
+    }
+    history.delete(ip);
+    const ban = { ip, until: now + banMs, reason };
+    bans.set(ip, ban);
+    issued += 1;
+    return ban;
+  }
+
+  function prune(now = Date.now()) {
+    for (const [ip, times] of history) {
+      if (times.every(t => now - t >= windowMs)) history.delete(ip);
+    }
+    for (const ip of bans.keys()) isBanned(ip, now);
+  }
+
+  return {
+    isBanned,
+    strike,
+    prune,
+    list: () => Array.from(bans.values()),
+    get issued() { return issued; },
+  };
+}
+
+module.exports = { createRateLimiter, createBanList };
@@ -0,0 +1,78 @@
+// Elo ratings per sessionId, updated from multiplayer results.
+// Kept in memory and rewritten to a single JSON file after every rated game.
+
+const fs = require('fs');
+const path = require('path');
+
+const INITIAL_RATING = 1200;
+const K_FACTOR = 32;
+
+/**
+ * @typedef {Object} Rating
+ * @property {number} rating
+ * @property {number} games
+ * @property {number} updatedAt
+ */
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function createRatingStore(file) {
+  /** @type {Object<string, Rating>} */
+  let ratings = {};
+  let writing = false;
+  let dirty = false;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    try { ratings = JSON.parse(fs.readFileSync(file, 'utf8')) || {}; } catch { /* start over from a corrupt file */ }
+  }
+
+  // One write at a time, through a temp file so a crash never leaves half a file behind
+  function persist() {
+    if (writing) { dirty = true; return; }
+    writing = true;
+    const tmp = `${file}.tmp`;
+    fs.writeFile(tmp, JSON.stringify(ratings), (err) => {
+      const done = (renameErr) => {
+        if (err || renameErr) console.error('❌ Écriture des classements Elo impossible:', (err || renameErr).message);
+        writing = false;
+        if (dirty) { dirty = false; persist(); }
+      };
+      if (err) return done();
+      fs.rename(tmp, file, done);
+    });
+  }
+
+  function get(id) {
+    return ratings[id]?.rating ?? INITIAL_RATING;
+  }
+
+  // players: [{ id, score }] from one game. Every pair counts as a duel (win/draw/loss by score),
+  // K is shared across the opponents. Returns [{ id, rating, delta }].
+  function recordGame(players, now = Date.now()) {
+    if (players.length < 2) return [];
+    const before = new Map(players.map(p => [p.id, get(p.id)]));
+    const k = K_FACTOR / (players.length - 1);
+    const changes = players.map(p => {
+      let delta = 0;
+      for (const other of players) {
+        if (other.id === p.id) continue;
+        const actual = p.score > other.score ? 1 : p.score === other.score ? 0.5 : 0;
+        delta += k * (actual - expectedScore(before.get(p.id), before.get(other.id)));
+      }
+      return { id: p.id, delta: Math.round(delta) };
+    });
+    for (const { id, delta } of changes) {
+      const current = ratings[id] || { rating: INITIAL_RATING, games: 0, updatedAt: now };
+      ratings[id] = { rating: current.rating + delta, games: current.games + 1, updatedAt: now };
+    }
+    persist();
+    return changes.map(({ id, delta }) => ({ id, rating: ratings[id].rating, delta }));
+  }
+
+  return { get, recordGame, get size() { return Object.keys(ratings).length; } };
+}
+
+module.exports = { createRatingStore, INITIAL_RATING };
@@ -0,0 +1,91 @@
+// Replay storage: one JSON file per finished multiplayer game, plus a small
+// in-memory cache of the most recent ones. prune() deletes the files past the
+// retention limits, oldest first.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_CACHED_REPLAYS = 100;
+const REPLAY_ID_RE = /^[a-f0-9]{16}$/;
+
+/**
+ * @typedef {Object} Replay
+ * @property {string} id
+ * @property {string} roomId
+ * @property {number} seed
+ * @property {Object} settings
+ * @property {number} startAt
+ * @property {{ id: string, nick: string | null }[]} players
+ * @property {{ t: number, by: string, number: number }[]} events  t is ms since startAt
+ * @property {Object} result
+ */
+
+/**
+ * @param {string} dir
+ * @param {{ maxAgeMs?: number, maxCount?: number }} [retention]  Infinity keeps everything
+ */
+function createReplayStore(dir, { maxAgeMs = Infinity, maxCount = Infinity } = {}) {
+  /** @type {Map<string, Replay>} */
+  const cache = new Map();
+  fs.mkdirSync(dir, { recursive: true });
+  // id -> time saved, oldest first, for every file on disk
+  /** @type {Map<string, number>} */
+  const stored = new Map(fs.readdirSync(dir)
+    .map(name => name.slice(0, -'.json'.length))
+    .filter(id => REPLAY_ID_RE.test(id))
+    .map(id => [id, fs.statSync(path.join(dir, `${id}.json`)).mtimeMs])
+    .sort((a, b) => a[1] - b[1]));
+
+  function remember(replay) {
+    cache.delete(replay.id);
+    cache.set(replay.id, replay);
+    if (cache.size > MAX_CACHED_REPLAYS) cache.delete(cache.keys().next().value);
+  }
+
+  /** @param {Replay} replay */
+  function save(replay) {
+    remember(replay);
+    stored.set(replay.id, Date.now());
+    fs.writeFile(path.join(dir, `${replay.id}.json`), JSON.stringify(replay), (err) => {
+      if (err) console.error('❌ Écriture du replay impossible:', err.message);
+    });
+    return replay.id;
+  }
+
+  // cb(replay | null)
+  function get(id, cb) {
+    if (!REPLAY_ID_RE.test(id)) return cb(null);
+    if (cache.has(id)) return cb(cache.get(id));
+    fs.readFile(path.join(dir, `${id}.json`), 'utf8', (err, data) => {
+      if (err) return cb(null);
+      try {
+        const replay = JSON.parse(data);
+        remember(replay);
+        cb(replay);
+      } catch {
+        cb(null);
+      }
+    });
+  }
+
+  // Called from the sweep; returns how many replays were deleted
+  function prune(at = Date.now()) {
+    let removed = 0;
+    for (const [id, savedAt] of stored) {
+      if (stored.size <= maxCount && at - savedAt <= maxAgeMs) break;
+      stored.delete(id);
+      cache.delete(id);
+      try {
+        fs.unlinkSync(path.join(dir, `${id}.json`));
+        removed++;
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error('❌ Suppression du replay impossible:', err.message);
+      }
+    }
+    return removed;
+  }
+
+  return { save, get, prune };
+}
+
+module.exports = { createReplayStore };
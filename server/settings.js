@@ -0,0 +1,83 @@
+// Game settings shared by rooms and solo runs: validation, the numbers on the grid and
+// the order they must be found in. Must stay in step with the front-end.
+
+// Square grids only, numbers run from startNumber to startNumber + gridSize - 1
+// (times `step` in the multiples mode). `sequence` decides the order they must be found in.
+const GRID_SIZES = [25, 49, 100, 144];
+const MAX_START_NUMBER = 999;
+const SEQUENCE_MODES = ['asc', 'desc', 'odd-even', 'multiples', 'low-high'];
+const MIN_STEP = 2;
+const MAX_STEP = 10;
+const DEFAULT_SETTINGS = Object.freeze({ gridSize: 100, startNumber: 1, sequence: 'asc', step: 2 });
+
+/**
+ * @typedef {Object} GameSettings
+ * @property {number} gridSize
+ * @property {number} startNumber
+ * @property {'asc' | 'desc' | 'odd-even' | 'multiples' | 'low-high'} sequence
+ * @property {number} step
+ */
+
+// Returns validated settings (defaults for missing fields) or null if anything is invalid
+function parseSettings(raw) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (raw == null) return settings;
+  if (typeof raw !== 'object') return null;
+  if (raw.gridSize !== undefined) {
+    const n = Number(raw.gridSize);
+    if (!GRID_SIZES.includes(n)) return null;
+    settings.gridSize = n;
+  }
+  if (raw.startNumber !== undefined) {
+    const n = Number(raw.startNumber);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_START_NUMBER) return null;
+    settings.startNumber = n;
+  }
+  if (raw.sequence !== undefined) {
+    if (!SEQUENCE_MODES.includes(raw.sequence)) return null;
+    settings.sequence = raw.sequence;
+  }
+  if (raw.step !== undefined) {
+    const n = Number(raw.step);
+    if (!Number.isInteger(n) || n < MIN_STEP || n > MAX_STEP) return null;
+    settings.step = n;
+  }
+  return settings;
+}
+
+// Numbers shown on the grid, ascending (before shuffling). Must match the client's buildValues.
+function buildValues(settings) {
+  const factor = settings.sequence === 'multiples' ? settings.step : 1;
+  const values = [];
+  for (let i = 0; i < settings.gridSize; i++) values.push((settings.startNumber + i) * factor);
+  return values;
+}
+
+// Order in which the grid's numbers must be found. Must match the client's buildSequence.
+function buildSequence(settings) {
+  const values = buildValues(settings);
+  switch (settings.sequence) {
+    case 'desc':
+      return values.reverse();
+    case 'odd-even':
+      return values.filter(n => n % 2 !== 0).concat(values.filter(n => n % 2 === 0));
+    case 'low-high': {
+      const order = [];
+      for (let lo = 0, hi = values.length - 1; lo <= hi; lo++, hi--) {
+        order.push(values[lo]);
+        if (hi !== lo) order.push(values[hi]);
+      }
+      return order;
+    }
+    default:
+      return values;
+  }
+}
+
+// Leaderboard mode key: only settings that change difficulty (start number does not)
+function modeKey(settings) {
+  const sequence = settings.sequence === 'multiples' ? `multiples${settings.step}` : settings.sequence;
+  return `${sequence}-${settings.gridSize}`;
+}
+
+module.exports = { GRID_SIZES, SEQUENCE_MODES, DEFAULT_SETTINGS, parseSettings, buildValues, buildSequence, modeKey };
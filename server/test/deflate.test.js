@@ -0,0 +1,199 @@
+// permessage-deflate (RFC 7692): negotiation, and compressed frames in both directions.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { negotiateDeflate } = require('../deflate');
+const { OPCODES, CLOSE_CODES, handshake, sendText } = require('../ws');
+const { FakeSocket, frame, closeFrame, replay, waitFor } = require('./harness');
+
+const TRAILER = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+const PARAMS = { serverNoContextTakeover: false, clientNoContextTakeover: false, serverMaxWindowBits: 15, threshold: 64 };
+
+// What a browser puts on the wire: a sync-flushed deflate stream without its trailer
+function clientDeflate(text) {
+  const data = zlib.deflateRawSync(Buffer.from(text), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  return data.subarray(0, data.length - 4);
+}
+
+// Inflates server messages in order, as one stream, which context takeover requires
+function clientInflate(payloads) {
+  const stream = Buffer.concat(payloads.flatMap(p => [p, TRAILER]));
+  return zlib.inflateRawSync(stream, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString();
+}
+
+const texts = (run) => run.messages.filter(m => m.opcode === OPCODES.TEXT).map(m => m.payload.toString('utf8'));
+const bigJson = (n) => JSON.stringify({ type: 'leaderboard', entries: Array.from({ length: n }, (_, i) => ({ rank: i + 1, nick: `joueur${i}`, timeMs: 60000 + i })) });
+
+test('negotiation: no offer or another extension means plain frames', () => {
+  assert.equal(negotiateDeflate(undefined), null);
+  assert.equal(negotiateDeflate(''), null);
+  assert.equal(negotiateDeflate('x-webkit-deflate-frame'), null);
+});
+
+test('negotiation: the usual browser offer is accepted with context takeover', () => {
+  const result = negotiateDeflate('permessage-deflate; client_max_window_bits');
+  assert.equal(result.response, 'permessage-deflate');
+  assert.deepEqual(result.params, { serverNoContextTakeover: false, clientNoContextTakeover: false, serverMaxWindowBits: 15, threshold: 1024 });
+});
+
+test('negotiation: parameters of the offer are honoured and echoed', () => {
+  const result = negotiateDeflate('permessage-deflate; server_no_context_takeover; client_no_context_takeover; server_max_window_bits=10; client_max_window_bits=12');
+  assert.equal(result.response, 'permessage-deflate; server_no_context_takeover; client_no_context_takeover; server_max_window_bits=10; client_max_window_bits=12');
+  assert.equal(result.params.serverNoContextTakeover, true);
+  assert.equal(result.params.clientNoContextTakeover, true);
+  assert.equal(result.params.serverMaxWindowBits, 10);
+});
+
+test('negotiation: server options apply even when the client did not ask', () => {
+  const result = negotiateDeflate('permessage-deflate', { serverNoContextTakeover: true, clientNoContextTakeover: true, serverMaxWindowBits: 12, threshold: 0 });
+  assert.equal(result.response, 'permessage-deflate; server_no_context_takeover; client_no_context_takeover; server_max_window_bits=12');
+  assert.equal(result.params.threshold, 0);
+});
+
+test('negotiation: an offer we cannot honour falls back to the next one', () => {
+  const result = negotiateDeflate('permessage-deflate; server_max_window_bits=8, permessage-deflate; server_max_window_bits="11"');
+  assert.equal(result.params.serverMaxWindowBits, 11);
+  for (const offer of [
+    'permessage-deflate; server_max_window_bits=8',
+    'permessage-deflate; server_max_window_bits',
+    'permessage-deflate; client_max_window_bits=16',
+    'permessage-deflate; server_no_context_takeover=1',
+    'permessage-deflate; server_no_context_takeover; server_no_context_takeover',
+    'permessage-deflate; mystery',
+  ]) {
+    assert.equal(negotiateDeflate(offer), null, offer);
+  }
+});
+
+test('handshake: the extension is answered only when enabled and offered', () => {
+  const headers = {
+    upgrade: 'websocket',
+    'sec-websocket-version': '13',
+    'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+    'sec-websocket-extensions': 'permessage-deflate; client_max_window_bits',
+  };
+  const on = new FakeSocket();
+  assert.equal(handshake({ headers }, on, { perMessageDeflate: {} }).deflate.serverMaxWindowBits, 15);
+  assert.match(on.output.toString(), /\r\nSec-WebSocket-Extensions: permessage-deflate\r\n/);
+
+  const off = new FakeSocket();
+  assert.equal(handshake({ headers }, off).deflate, null);
+  assert.doesNotMatch(off.output.toString(), /Sec-WebSocket-Extensions/);
+
+  const plain = new FakeSocket();
+  const { 'sec-websocket-extensions': _, ...withoutOffer } = headers;
+  assert.equal(handshake({ headers: withoutOffer }, plain, { perMessageDeflate: {} }).deflate, null);
+});
+
+test('inbound: compressed and plain messages arrive inflated and in order', async () => {
+  const big = bigJson(50);
+  const run = replay([
+    frame({ op: OPCODES.TEXT, payload: clientDeflate(big), rsv: 4 }),
+    frame({ op: OPCODES.TEXT, payload: 'plain' }),
+    frame({ op: OPCODES.TEXT, payload: clientDeflate('κόσμε'), rsv: 4 }),
+  ], { deflate: PARAMS });
+  await waitFor(() => run.messages.length === 3);
+  assert.deepEqual(texts(run), [big, 'plain', 'κόσμε']);
+  assert.equal(run.closeCode, null);
+});
+
+test('inbound: a fragmented compressed message has RSV1 on its first frame only', async () => {
+  const data = clientDeflate(bigJson(20));
+  const half = data.length >> 1;
+  const run = replay([
+    frame({ op: OPCODES.TEXT, payload: data.subarray(0, half), rsv: 4, fin: false }),
+    frame({ op: OPCODES.PING, payload: 'between' }),
+    frame({ op: OPCODES.CONTINUATION, payload: data.subarray(half) }),
+  ], { deflate: PARAMS });
+  await waitFor(() => texts(run).length === 1);
+  assert.equal(texts(run)[0], bigJson(20));
+  assert.equal(run.sent.filter(f => f.op === OPCODES.PONG).length, 1);
+});
+
+test('inbound: RSV1 on a continuation or control frame is a protocol error', () => {
+  const continuation = replay([
+    frame({ op: OPCODES.TEXT, payload: clientDeflate('abc'), rsv: 4, fin: false }),
+    frame({ op: OPCODES.CONTINUATION, payload: Buffer.alloc(0), rsv: 4 }),
+  ], { deflate: PARAMS });
+  const ping = replay([frame({ op: OPCODES.PING, rsv: 4 })], { deflate: PARAMS });
+  const rsv2 = replay([frame({ op: OPCODES.TEXT, payload: 'x', rsv: 2 })], { deflate: PARAMS });
+  return Promise.all([continuation, ping, rsv2].map(async run => {
+    await waitFor(() => run.closeCode !== null);
+    assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+  }));
+});
+
+test('inbound: a compression bomb is stopped at the message size limit', async () => {
+  const bomb = zlib.deflateRawSync(Buffer.alloc(10 * 1024 * 1024), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  const run = replay([frame({ op: OPCODES.TEXT, payload: bomb.subarray(0, -4), rsv: 4 })], { deflate: PARAMS });
+  await waitFor(() => run.closeCode !== null);
+  assert.equal(run.closeCode, CLOSE_CODES.MESSAGE_TOO_BIG);
+  assert.equal(run.messages.length, 0);
+  assert.deepEqual(run.errors.map(e => e.code), [CLOSE_CODES.MESSAGE_TOO_BIG]);
+});
+
+test('inbound: corrupt deflate data or text that inflates to invalid UTF-8 closes with 1007', async () => {
+  const corrupt = replay([frame({ op: OPCODES.TEXT, payload: Buffer.from([0xff, 0xff, 0xff]), rsv: 4 })], { deflate: PARAMS });
+  const invalid = zlib.deflateRawSync(Buffer.from([0xce, 0xba, 0xff]), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  const utf8 = replay([frame({ op: OPCODES.TEXT, payload: invalid.subarray(0, -4), rsv: 4 })], { deflate: PARAMS });
+  for (const run of [corrupt, utf8]) {
+    await waitFor(() => run.closeCode !== null);
+    assert.equal(run.closeCode, CLOSE_CODES.INVALID_PAYLOAD);
+    assert.equal(run.messages.length, 0);
+  }
+});
+
+test('inbound: messages before a protocol violation are still delivered', async () => {
+  const run = replay([
+    frame({ op: OPCODES.TEXT, payload: clientDeflate('avant'), rsv: 4 }),
+    frame({ op: OPCODES.TEXT, payload: 'nu', mask: false }),
+  ], { deflate: PARAMS });
+  await waitFor(() => run.closeCode !== null);
+  assert.deepEqual(texts(run), ['avant']);
+  assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+});
+
+test('outbound: large messages are deflated, small ones sent as is, order kept', async () => {
+  const run = replay([], { deflate: PARAMS });
+  const big = bigJson(100);
+  sendText(run.socket, big);
+  sendText(run.socket, '{"type":"pong"}');
+  await waitFor(() => run.sent.length === 2);
+  const [first, second] = run.sent;
+  assert.equal(first.compressed, true);
+  assert.ok(first.payload.length < big.length / 4);
+  assert.equal(clientInflate([first.payload]), big);
+  assert.equal(second.compressed, false);
+  assert.equal(second.payload.toString(), '{"type":"pong"}');
+});
+
+test('outbound: context takeover makes a repeated message much cheaper', async () => {
+  const big = bigJson(100);
+  const sizes = async (params) => {
+    const run = replay([], { deflate: params });
+    sendText(run.socket, big);
+    sendText(run.socket, big);
+    await waitFor(() => run.sent.length === 2);
+    const payloads = run.sent.map(f => f.payload);
+    const text = params.serverNoContextTakeover ? payloads.map(p => clientInflate([p])).join('') : clientInflate(payloads);
+    assert.equal(text, big + big);
+    return payloads.map(p => p.length);
+  };
+  const [firstKept, secondKept] = await sizes(PARAMS);
+  assert.ok(secondKept < firstKept / 4, `${secondKept} vs ${firstKept}`);
+  const [firstReset, secondReset] = await sizes({ ...PARAMS, serverNoContextTakeover: true });
+  assert.equal(secondReset, firstReset);
+});
+
+test('outbound: our close frame waits for the messages being compressed', async () => {
+  const run = replay([], { deflate: PARAMS });
+  sendText(run.socket, bigJson(100));
+  run.connection.close(CLOSE_CODES.GOING_AWAY);
+  sendText(run.socket, bigJson(100));
+  await waitFor(() => run.sent.length === 2);
+  assert.deepEqual(run.sent.map(f => f.op), [OPCODES.TEXT, OPCODES.CLOSE]);
+  run.feed(closeFrame(CLOSE_CODES.GOING_AWAY));
+  await waitFor(() => run.socket.writableEnded);
+  assert.equal(run.sent.length, 2);
+});
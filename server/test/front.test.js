@@ -0,0 +1,116 @@
+// Messages the browser client builds, checked against the server's schemas. script.js is
+// loaded as is in a bare context: only what these methods touch is stubbed.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateMessage } = require('../protocol');
+
+const SCRIPT = path.join(__dirname, '../../front/web/script.js');
+
+function loadFront(globals = {}) {
+  const storage = new Map();
+  const context = vm.createContext({
+    console,
+    setTimeout: (fn) => fn(),
+    document: { addEventListener: () => {} },
+    WebSocket: { CONNECTING: 0, OPEN: 1 },
+    localStorage: {
+      getItem: (key) => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key),
+    },
+    ...globals,
+  });
+  const source = fs.readFileSync(SCRIPT, 'utf8');
+  vm.runInContext(`${source}\n;globalThis.front = { ConcentrationGame, MultiplayerClient };`, context);
+  return context.front;
+}
+
+// A client whose socket is open and records what it sends
+function openClient(MultiplayerClient) {
+  const client = new MultiplayerClient({ url: 'ws://test' });
+  const sent = [];
+  client.ws = { readyState: 1, send: (text) => sent.push(JSON.parse(text)) };
+  return { client, sent };
+}
+
+// The lobby form of the private room step, as the host filled it in
+function roomForm(ConcentrationGame, mp, { connected }) {
+  const field = (value) => ({ value });
+  return Object.assign(Object.create(ConcentrationGame.prototype), {
+    mp,
+    mpConnected: connected,
+    createNameInput: field('Hôte'),
+    roomCapacitySelect: field('4'),
+    roomCountdownSelect: field('5'),
+    roomBestOfSelect: field('3'),
+    roomDisconnectSelect: field('pause'),
+    roomGridSize: field('49'),
+    roomStartNumber: field('0'),
+    roomSequence: field('asc'),
+    roomStep: field('2'),
+    showMpStep: () => {},
+    connectingTitle: {},
+    connectingDesc: {},
+  });
+}
+
+for (const connected of [true, false]) {
+  test(`room:create carries the disconnect mode (${connected ? 'already connected' : 'connecting first'})`, () => {
+    const { ConcentrationGame, MultiplayerClient } = loadFront();
+    const { client, sent } = openClient(MultiplayerClient);
+    client.connect = () => {};
+    roomForm(ConcentrationGame, client, { connected }).createMpRoom();
+
+    const create = sent.find(m => m.type === 'room:create');
+    assert.equal(create.disconnectMode, 'pause');
+    assert.equal(create.capacity, 4);
+    assert.equal(create.settings.startNumber, 0);
+    const checked = validateMessage(create);
+    assert.ok(checked.ok, JSON.stringify(checked));
+    assert.equal(checked.msg.disconnectMode, 'pause');
+  });
+}
+
+// The game right after a "VS ORDI" one, started from its results screen
+function afterAiGame(ConcentrationGame) {
+  const ai = { stopped: false, stop() { this.stopped = true; } };
+  const started = [];
+  const game = Object.assign(Object.create(ConcentrationGame.prototype), {
+    ai,
+    mp: { sessionId: 's1', credentials: () => ({ sessionId: 's1', resumeToken: 't1' }) },
+    hideModal: () => {},
+    readSettingsForm: () => ({ gridSize: 25, startNumber: 1, sequence: 'asc', step: 1 }),
+    updateMultiplayerScores: () => {},
+    requestSoloRun: async () => ({ runId: 'run1', seed: 7 }),
+    detectHttpUrl: () => 'http://test',
+    startGame: (options) => started.push(options),
+  });
+  return { game, ai, started };
+}
+
+test('a solo game after a VS ORDI game is played and ranked as solo', async () => {
+  const { ConcentrationGame } = loadFront();
+  const { game, ai, started } = afterAiGame(ConcentrationGame);
+  await game.startSoloGame();
+  assert.equal(started.length, 1);
+  assert.ok(ai.stopped);
+  assert.equal(game.ai, null);
+  assert.equal(game.soloRun.runId, 'run1');
+});
+
+test('a daily game after a VS ORDI game is played and ranked as solo', async () => {
+  const daily = { runId: 'run2', seed: 9, date: '2026-10-19', settings: { gridSize: 25 } };
+  const { ConcentrationGame } = loadFront({
+    fetch: async () => ({ ok: true, status: 200, json: async () => daily }),
+  });
+  const { game, ai, started } = afterAiGame(ConcentrationGame);
+  await game.startDailyGame();
+  assert.equal(started.length, 1);
+  assert.ok(ai.stopped);
+  assert.equal(game.ai, null);
+  assert.equal(game.soloRun.daily, '2026-10-19');
+});
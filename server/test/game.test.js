@@ -0,0 +1,346 @@
+// Room and match rules of game.js, driven by events on a fake clock: no sockets, no timers.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame } = require('../game');
+
+/**
+ * A game with deterministic ids, seeds and clock, and helpers to read its outbox.
+ * `ratingOf` sets the Elo ratings seen by matchmaking.
+ */
+function setup({ ratingOf = {}, config = {} } = {}) {
+  let clock = 1_000_000;
+  let ids = 0;
+  const saved = [];
+  const rated = [];
+  const game = createGame({
+    ratings: {
+      get: (id) => ratingOf[id] ?? 1200,
+      recordGame: (players) => {
+        rated.push(players);
+        return players.map(p => ({ id: p.id, rating: 1200, delta: 0 }));
+      },
+    },
+    replays: { save: (replay) => { saved.push(replay); return replay.id; } },
+    now: () => clock,
+    random: () => ((ids * 7) % 31) / 31,
+    genId: () => `id${++ids}`,
+    genSeed: () => 42,
+    log: () => {},
+    config: { lagWindowMs: 80, forfeitGraceMs: 30_000, ...config },
+  });
+  const h = {
+    game,
+    saved,
+    rated,
+    get now() { return clock; },
+    advance(ms) { clock += ms; },
+    dispatch: (event) => game.dispatch(event),
+    connect: (id, extra = {}) => game.dispatch({ type: 'connect', id, nick: id.toUpperCase(), resumeToken: `tok-${id}`, ...extra }),
+    send: (from, msg) => game.dispatch({ type: 'message', from, msg }),
+    // Runs the clock forward to the next deadline, as the host's timer would
+    tick() {
+      const at = game.nextDeadline();
+      if (at != null && at > clock) clock = at;
+      return game.dispatch({ type: 'tick' });
+    },
+  };
+  return h;
+}
+
+const of = (outbox, to, type) => outbox.filter(o => o.to === to && o.msg.type === type).map(o => o.msg);
+const one = (outbox, to, type) => {
+  const found = of(outbox, to, type);
+  assert.equal(found.length, 1, `one ${type} for ${to}, got ${found.length}`);
+  return found[0];
+};
+const types = (outbox, to) => outbox.filter(o => o.to === to).map(o => o.msg.type);
+
+// Two players in a private room of 25 numbers, both ready
+function roomOfTwo(h, extra = {}) {
+  h.connect('a');
+  h.connect('b');
+  const created = one(h.send('a', { type: 'room:create', settings: { gridSize: 25 }, countdown: 1, ...extra }), 'a', 'room:created');
+  h.send('b', { type: 'room:join', code: created.code.toLowerCase() });
+  h.send('a', { type: 'room:ready', ready: true });
+  h.send('b', { type: 'room:ready', ready: true });
+  return created;
+}
+
+function startGame(h, extra) {
+  const room = roomOfTwo(h, extra);
+  const out = h.send('a', { type: 'room:start' });
+  return { room, start: one(out, 'b', 'game:start') };
+}
+
+// Claims the current target and settles it alone
+function find(h, id, number) {
+  h.send(id, { type: 'game:progress', found: number });
+  return h.tick();
+}
+
+test('matchmaking: close ratings are paired at once into a 1v1 room', () => {
+  const h = setup();
+  h.connect('a');
+  h.connect('b');
+  const first = h.send('a', { type: 'queue:join' });
+  assert.equal(one(first, 'a', 'queue:ok').rating, 1200);
+  const out = h.send('b', { type: 'queue:join' });
+  const match = one(out, 'a', 'match:found');
+  assert.deepEqual(match.members.map(m => m.id), ['a', 'b']);
+  assert.equal(match.capacity, 2);
+  assert.equal(one(out, 'b', 'room:joined').roomId, match.roomId);
+  assert.equal(h.game.session('b').roomId, match.roomId);
+});
+
+test('matchmaking: distant ratings wait until the band has widened enough', () => {
+  const h = setup({ ratingOf: { a: 1200, b: 1400 } });
+  h.connect('a');
+  h.connect('b');
+  h.send('a', { type: 'queue:join' });
+  const joined = one(h.send('b', { type: 'queue:join' }), 'b', 'queue:ok');
+  assert.deepEqual(joined.band, { min: 1300, max: 1500 });
+  assert.equal(joined.estimatedWaitMs, 10_000);
+
+  h.advance(5_000);
+  const waiting = h.dispatch({ type: 'matchmake' });
+  assert.deepEqual(types(waiting, 'a'), ['queue:ok']);
+  assert.equal(one(waiting, 'a', 'queue:ok').band.max, 1350);
+
+  h.advance(5_000);
+  const matched = h.dispatch({ type: 'matchmake' });
+  assert.equal(of(matched, 'a', 'match:found').length, 1);
+});
+
+test('matchmaking: players who went offline are dropped from the queue', () => {
+  const h = setup();
+  h.connect('a');
+  h.connect('b');
+  h.send('a', { type: 'queue:join' });
+  h.dispatch({ type: 'disconnect', id: 'a' });
+  const out = h.send('b', { type: 'queue:join' });
+  assert.equal(of(out, 'b', 'match:found').length, 0);
+  assert.equal(h.game.inspect().queue.length, 1);
+});
+
+test('ready/start: only the host starts, with enough players, all ready', () => {
+  const h = setup();
+  h.connect('a');
+  h.connect('b');
+  const created = one(h.send('a', { type: 'room:create', settings: { gridSize: 25 } }), 'a', 'room:created');
+
+  const alone = one(h.send('a', { type: 'room:start', requestId: 'r1' }), 'a', 'error');
+  assert.equal(alone.code, 'NOT_ENOUGH_PLAYERS');
+  assert.equal(alone.requestId, 'r1');
+  assert.match(alone.message, /2 joueurs/);
+
+  h.send('b', { type: 'room:join', code: created.code });
+  assert.equal(one(h.send('b', { type: 'room:start' }), 'b', 'error').code, 'NOT_HOST');
+  h.send('a', { type: 'room:ready', ready: true });
+  assert.equal(one(h.send('a', { type: 'room:start' }), 'a', 'error').code, 'PLAYERS_NOT_READY');
+
+  const state = one(h.send('b', { type: 'room:ready', ready: true }), 'a', 'room:state');
+  assert.deepEqual(state.members.map(m => m.ready), [true, true]);
+  const out = h.send('a', { type: 'room:start' });
+  for (const id of ['a', 'b']) {
+    const start = one(out, id, 'game:start');
+    assert.equal(start.seed, 42);
+    assert.equal(start.startAt, h.now + 3000);
+  }
+});
+
+test('ready/start: joining a running game or an unknown room is refused', () => {
+  const h = setup();
+  const { room } = startGame(h);
+  h.connect('c');
+  assert.equal(one(h.send('c', { type: 'room:join', code: room.code }), 'c', 'error').code, 'GAME_IN_PROGRESS');
+  assert.equal(one(h.send('c', { type: 'room:join', code: 'NOPE' }), 'c', 'error').code, 'ROOM_NOT_FOUND');
+});
+
+test('progress: finds are accepted in sequence order only', () => {
+  const h = setup();
+  startGame(h);
+  assert.deepEqual(h.send('a', { type: 'game:progress', found: 2 }), []);
+  assert.equal(h.game.nextDeadline(), null, 'a wrong number opens no claim');
+
+  const out = find(h, 'a', 1);
+  const progress = one(out, 'b', 'game:progress');
+  assert.deepEqual({ from: progress.from, found: progress.found, currentTarget: progress.currentTarget, targetIndex: progress.targetIndex }, { from: 'a', found: 1, currentTarget: 2, targetIndex: 1 });
+  assert.deepEqual(progress.scores.map(s => s.score), [1, 0]);
+
+  // The number already found cannot be claimed again
+  assert.deepEqual(h.send('b', { type: 'game:progress', found: 1 }), []);
+  assert.equal(one(find(h, 'b', 2), 'a', 'game:progress').from, 'b');
+});
+
+test('progress: near-simultaneous claims go to the earliest latency-adjusted click', () => {
+  const h = setup();
+  startGame(h);
+  h.dispatch({ type: 'rtt', id: 'b', rttMs: 100 });
+  h.send('a', { type: 'game:progress', found: 1 });
+  assert.equal(h.game.nextDeadline(), h.now + 80);
+  h.advance(30);
+  // Arrived later but clicked earlier: b's half RTT (50 ms) moves its claim before a's
+  h.send('b', { type: 'game:progress', found: 1 });
+  h.advance(20);
+  assert.deepEqual(h.dispatch({ type: 'tick' }), [], 'nothing settles before the window closes');
+  const out = h.tick();
+  assert.equal(one(out, 'a', 'game:progress').from, 'b');
+  const arbitration = h.game.inspect().arbitration.recent[0];
+  assert.equal(arbitration.winner, 'b');
+  assert.equal(arbitration.claims.length, 2);
+});
+
+test('game over: the last number ends the game with standings, replay and series', () => {
+  const h = setup();
+  startGame(h);
+  let out;
+  for (let n = 1; n <= 25; n++) {
+    h.advance(100);
+    out = find(h, n % 5 === 0 ? 'b' : 'a', n);
+  }
+  const over = one(out, 'b', 'game:over');
+  assert.equal(over.reason, 'complete');
+  assert.equal(over.winner, 'a');
+  assert.deepEqual(over.result.players.map(p => [p.id, p.score]), [['a', 20], ['b', 5]]);
+  assert.equal(over.series.games, 1);
+  assert.deepEqual(over.series.wins.map(w => w.wins), [1, 0]);
+  assert.equal(over.replayId, h.saved[0].id);
+  assert.equal(h.saved[0].events.length, 25);
+  assert.deepEqual(h.rated[0], [{ id: 'a', score: 20 }, { id: 'b', score: 5 }]);
+  assert.equal(h.game.nextDeadline(), null);
+  // Progress after the end is ignored
+  assert.deepEqual(h.send('a', { type: 'game:progress', found: 26 }), []);
+});
+
+test('game over: forfeit by message, or by leaving the room', () => {
+  const h = setup();
+  startGame(h);
+  const out = h.send('b', { type: 'game:forfeit' });
+  const over = one(out, 'a', 'game:over');
+  assert.equal(over.reason, 'forfeit');
+  assert.deepEqual(over.forfeited, ['b']);
+  assert.equal(over.result.players[1].forfeitReason, 'forfeit');
+  assert.equal(over.winner, 'a');
+  assert.equal(one(h.send('b', { type: 'game:forfeit' }), 'b', 'error').code, 'NO_GAME_IN_PROGRESS');
+
+  h.send('a', { type: 'room:rematch' });
+  const rematch = h.send('b', { type: 'room:rematch' });
+  assert.equal(of(rematch, 'a', 'game:start').length, 1);
+  const left = h.send('a', { type: 'room:leave' });
+  const leftOver = one(left, 'b', 'game:over');
+  assert.deepEqual(leftOver.forfeited, ['a']);
+  assert.equal(leftOver.result.players.find(p => p.id === 'a').forfeitReason, 'leave');
+  assert.deepEqual(types(left, 'a'), ['game:over', 'room:left']);
+});
+
+test('game over: in a room of three, the game goes on until one player is left', () => {
+  const h = setup();
+  const ids = ['a', 'b', 'c'];
+  ids.forEach(id => h.connect(id));
+  const created = one(h.send('a', { type: 'room:create', capacity: 3, settings: { gridSize: 25 }, countdown: 1 }), 'a', 'room:created');
+  h.send('b', { type: 'room:join', code: created.code });
+  h.send('c', { type: 'room:join', code: created.code });
+  ids.forEach(id => h.send(id, { type: 'room:ready', ready: true }));
+  h.send('a', { type: 'room:start' });
+  find(h, 'b', 1);
+
+  const out = h.send('c', { type: 'game:forfeit' });
+  assert.equal(of(out, 'a', 'game:over').length, 0, 'a and b play on');
+  const notice = one(out, 'a', 'player:forfeited');
+  assert.deepEqual([notice.id, notice.reason], ['c', 'forfeit']);
+  assert.deepEqual(h.send('c', { type: 'game:progress', found: 2 }), [], 'a forfeited player no longer plays');
+  assert.equal(one(find(h, 'a', 2), 'b', 'game:progress').from, 'a');
+
+  // b walks out: a is the last one playing and wins, although b found as much
+  const over = one(h.send('b', { type: 'room:leave' }), 'a', 'game:over');
+  assert.equal(over.reason, 'forfeit');
+  assert.equal(over.winner, 'a');
+  assert.deepEqual(over.forfeited, ['c', 'b']);
+  assert.deepEqual(over.result.players.map(p => [p.id, p.score, p.forfeitReason]), [['a', 1, undefined], ['b', 1, 'leave'], ['c', 0, 'forfeit']]);
+  assert.deepEqual(h.rated[0].map(p => p.id), ['a', 'b', 'c']);
+});
+
+test('reconnect: a dropped player gets a grace window and the full state back', () => {
+  const h = setup();
+  startGame(h);
+  find(h, 'a', 1);
+  const gone = h.dispatch({ type: 'disconnect', id: 'b' });
+  const notice = one(gone, 'a', 'player:disconnected');
+  assert.equal(notice.deadline, h.now + 30_000);
+  assert.equal(notice.paused, false);
+  assert.equal(h.game.nextDeadline(), h.now + 30_000);
+  assert.deepEqual(types(gone, 'b'), [], 'nothing is sent to an offline player');
+
+  // The game goes on without b
+  find(h, 'a', 2);
+  h.advance(10_000);
+  const back = h.connect('b');
+  assert.equal(one(back, 'a', 'player:reconnected').id, 'b');
+  assert.deepEqual(types(back, 'b'), ['room:joined', 'game:resume']);
+  const resume = one(back, 'b', 'game:resume');
+  assert.equal(resume.currentTarget, 3);
+  assert.deepEqual(resume.opponentFoundNumbers, [1, 2]);
+  assert.deepEqual(resume.disconnected, []);
+  assert.equal(h.game.nextDeadline(), null, 'the forfeit deadline is gone');
+});
+
+test('reconnect: a pause room stops the clock until everyone is back', () => {
+  const h = setup();
+  const { start } = startGame(h, { disconnectMode: 'pause' });
+  h.dispatch({ type: 'disconnect', id: 'b' });
+  assert.deepEqual(h.send('a', { type: 'game:progress', found: 1 }), [], 'no progress while paused');
+  h.advance(4_000);
+  const back = h.connect('b');
+  const reconnected = one(back, 'a', 'player:reconnected');
+  assert.equal(reconnected.paused, false);
+  assert.equal(reconnected.startAt, start.startAt + 4_000);
+});
+
+test('reconnect: a player still away at the deadline forfeits', () => {
+  const h = setup();
+  startGame(h);
+  h.dispatch({ type: 'disconnect', id: 'b' });
+  h.advance(29_999);
+  assert.deepEqual(h.dispatch({ type: 'tick' }), []);
+  const over = one(h.tick(), 'a', 'game:over');
+  assert.deepEqual(over.forfeited, ['b']);
+  assert.equal(over.result.players[1].forfeitReason, 'timeout');
+  assert.equal(over.winner, 'a');
+  assert.equal(h.game.sweepStats.gamesForfeited, 1, 'deadline forfeits are counted too');
+});
+
+test('persistence: only messages that change saved state mark it', () => {
+  const h = setup();
+  startGame(h);
+  h.game.takeChanges();
+  h.send('a', { type: 'game:progress', found: 1 });
+  h.send('b', { type: 'game:progress', found: 7 });
+  h.send('b', { type: 'queue:leave' });
+  assert.deepEqual(h.game.takeChanges(), { sessions: [], rooms: [] }, 'claims and the queue are not saved');
+  h.tick();
+  assert.equal(h.game.takeChanges().rooms.length, 1, 'an accepted find is');
+
+  h.connect('c');
+  h.game.takeChanges();
+  h.send('c', { type: 'room:ready', ready: true });
+  assert.deepEqual(h.game.takeChanges(), { sessions: [], rooms: [] }, 'a refused message changes nothing');
+});
+
+test('persistence: changes are reported once and a restored game resumes', () => {
+  const h = setup();
+  startGame(h);
+  find(h, 'a', 1);
+  const { sessions, rooms } = h.game.takeChanges();
+  assert.deepEqual(sessions.map(([id]) => id).sort(), ['a', 'b']);
+  assert.equal(rooms.length, 1);
+  assert.deepEqual(sessions.find(([id]) => id === 'a')[1].foundNumbers, [1]);
+  assert.deepEqual(h.game.takeChanges(), { sessions: [], rooms: [] });
+
+  const restored = setup();
+  restored.game.restore({ sessions: sessions.map(([, s]) => s), rooms: rooms.map(([, r]) => r) });
+  assert.equal(restored.game.nextDeadline(), restored.now + 30_000, 'everyone gets a fresh grace window');
+  assert.equal(restored.game.session('a').resumeToken, 'tok-a');
+  const back = restored.connect('a');
+  assert.deepEqual(one(back, 'a', 'game:resume').myFoundNumbers, [1]);
+});
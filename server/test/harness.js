@@ -0,0 +1,138 @@
+// Replays Autobahn-style frame sequences against ws.js without a network: a fake socket
+// is fed the client bytes and records what the server writes back.
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { createConnection } = require('../ws');
+
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.written = [];
+    this.destroyed = false;
+    this.writableEnded = false;
+  }
+
+  write(buffer) {
+    this.written.push(Buffer.from(buffer));
+    return true;
+  }
+
+  end() {
+    this.writableEnded = true;
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+
+  get output() {
+    return Buffer.concat(this.written);
+  }
+}
+
+/**
+ * Builds one client frame. `length` overrides the encoded payload length (for malformed
+ * headers); `mask: false` sends it unmasked.
+ */
+function frame({ op, payload = '', fin = true, mask = true, rsv = 0, length }) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  const len = length ?? data.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | (rsv << 4) | op;
+  if (!mask) return Buffer.concat([header, data]);
+  header[1] |= 0x80;
+  const key = crypto.randomBytes(4);
+  const masked = Buffer.from(data);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= key[i & 3];
+  return Buffer.concat([header, key, masked]);
+}
+
+function closeFrame(code, reason = '', options = {}) {
+  const reasonBytes = Buffer.isBuffer(reason) ? reason : Buffer.from(reason);
+  const payload = code == null ? Buffer.alloc(0) : Buffer.concat([Buffer.from([code >> 8, code & 0xff]), reasonBytes]);
+  return frame({ op: 0x8, payload, ...options });
+}
+
+// Server frames are never masked and always FIN; RSV1 marks a deflated message
+function decodeServerFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (offset + 2 <= buffer.length) {
+    const op = buffer[offset] & 0x0f;
+    let len = buffer[offset + 1] & 0x7f;
+    let headerLen = 2;
+    if (len === 126) {
+      len = buffer.readUInt16BE(offset + 2);
+      headerLen = 4;
+    } else if (len === 127) {
+      len = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLen = 10;
+    }
+    const payload = buffer.subarray(offset + headerLen, offset + headerLen + len);
+    const decoded = { op, payload, compressed: (buffer[offset] & 0x40) === 0x40 };
+    if (op === 0x8 && payload.length >= 2) decoded.code = payload.readUInt16BE(0);
+    frames.push(decoded);
+    offset += headerLen + len;
+  }
+  return frames;
+}
+
+/**
+ * Feeds `frames` (client bytes) to a fresh connection, optionally in `chunkSize` pieces,
+ * and reports what came out. With `deflate` params the connection works asynchronously:
+ * wait for the expected outcome with waitFor().
+ * @returns {{ messages: Array<{ opcode: number, payload: Buffer }>, sent: Array<{ op: number, payload: Buffer, code?: number }>,
+ *   closeCode: number | null, errors: Object[], socket: FakeSocket, connection: Object, feed: (bytes: Buffer) => void }}
+ */
+function replay(frames, { maxPayload = 64 * 1024, chunkSize = 0, deflate = null } = {}) {
+  const socket = new FakeSocket();
+  const messages = [];
+  const errors = [];
+  const connection = createConnection(socket, {
+    maxPayload,
+    deflate,
+    onMessage: (message) => messages.push(message),
+    onError: (error) => errors.push(error),
+  });
+  const feed = (bytes) => {
+    if (!chunkSize) return socket.emit('data', bytes);
+    for (let i = 0; i < bytes.length; i += chunkSize) socket.emit('data', bytes.subarray(i, i + chunkSize));
+  };
+  feed(Buffer.concat(frames));
+  const result = {
+    messages,
+    errors,
+    socket,
+    connection,
+    feed,
+    get sent() { return decodeServerFrames(socket.output); },
+    get closeCode() {
+      const close = this.sent.find(f => f.op === 0x8);
+      return close ? close.code ?? null : null;
+    },
+  };
+  return result;
+}
+
+// Polls until `predicate` holds (zlib answers on a later tick)
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('condition never met');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = { FakeSocket, frame, closeFrame, decodeServerFrames, replay, waitFor };
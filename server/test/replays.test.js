@@ -0,0 +1,51 @@
+// Retention of replay files: what prune() deletes from a replay directory.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReplayStore } = require('../replays');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31);
+
+// A replay directory with one file per id, each saved that many days before NOW
+function replayDir(t, ages) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [id, days] of Object.entries(ages)) {
+    const file = path.join(dir, `${id}.json`);
+    fs.writeFileSync(file, JSON.stringify({ id }));
+    const at = new Date(NOW - days * DAY);
+    fs.utimesSync(file, at, at);
+  }
+  return dir;
+}
+
+const left = (dir) => fs.readdirSync(dir).sort();
+const ids = { old: 'a'.repeat(16), recent: 'b'.repeat(16), today: 'c'.repeat(16) };
+
+test('replays older than the maximum age are deleted', (t) => {
+  const dir = replayDir(t, { [ids.old]: 40, [ids.recent]: 10, [ids.today]: 0 });
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a replay');
+  const store = createReplayStore(dir, { maxAgeMs: 30 * DAY });
+  assert.equal(store.prune(NOW), 1);
+  assert.deepEqual(left(dir), [`${ids.recent}.json`, `${ids.today}.json`, 'notes.txt']);
+  assert.equal(store.prune(NOW), 0, 'nothing more to delete');
+});
+
+test('only the newest replays are kept beyond the maximum count', async (t) => {
+  const dir = replayDir(t, { [ids.recent]: 10, [ids.old]: 40, [ids.today]: 0 });
+  const store = createReplayStore(dir, { maxCount: 1 });
+  assert.equal(store.prune(NOW), 2);
+  assert.deepEqual(left(dir), [`${ids.today}.json`]);
+  const gone = await new Promise(resolve => store.get(ids.old, resolve));
+  assert.equal(gone, null);
+});
+
+test('without limits every replay is kept', (t) => {
+  const dir = replayDir(t, { [ids.old]: 400 });
+  assert.equal(createReplayStore(dir).prune(NOW), 0);
+  assert.deepEqual(left(dir), [`${ids.old}.json`]);
+});
@@ -0,0 +1,290 @@
+// RFC 6455 conformance of ws.js, case numbers after the Autobahn test suite sections.
+
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPCODES, CLOSE_CODES, createAcceptValue, handshake, createConnection, createFrameParser, connect, frameHeader, encodeFrame, sendText } = require('../ws');
+const { frame, closeFrame, replay, waitFor } = require('./harness');
+
+const TEXT = OPCODES.TEXT;
+const BINARY = OPCODES.BINARY;
+const CONT = OPCODES.CONTINUATION;
+const PING = OPCODES.PING;
+const PONG = OPCODES.PONG;
+
+const texts = (run) => run.messages.filter(m => m.opcode === TEXT).map(m => m.payload.toString('utf8'));
+
+test('handshake: accept value of the RFC example key', () => {
+  assert.equal(createAcceptValue('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('1.1 text messages of every length encoding', () => {
+  for (const size of [0, 125, 126, 127, 128, 65535, 65536]) {
+    const run = replay([frame({ op: TEXT, payload: 'x'.repeat(size) })], { maxPayload: 70000 });
+    assert.deepEqual(texts(run).map(t => t.length), [size], `payload of ${size}`);
+    assert.equal(run.closeCode, null);
+  }
+});
+
+test('1.1.8 a message sent one byte at a time', () => {
+  const run = replay([frame({ op: TEXT, payload: 'découpé' })], { chunkSize: 1 });
+  assert.deepEqual(texts(run), ['découpé']);
+});
+
+test('1.2 binary messages are delivered as binary', () => {
+  const run = replay([frame({ op: BINARY, payload: Buffer.from([0, 1, 254, 255]) })]);
+  assert.equal(run.messages[0].opcode, BINARY);
+  assert.deepEqual([...run.messages[0].payload], [0, 1, 254, 255]);
+});
+
+test('2.1-2.3 ping is answered with a pong carrying the same payload', () => {
+  for (const payload of ['', 'hello', Buffer.alloc(125, 0xfe)]) {
+    const run = replay([frame({ op: PING, payload })]);
+    const pong = run.sent.find(f => f.op === PONG);
+    assert.ok(pong, 'pong sent');
+    assert.deepEqual(pong.payload, Buffer.from(payload));
+  }
+});
+
+test('2.5 ping with a payload over 125 bytes is a protocol error', () => {
+  const run = replay([frame({ op: PING, payload: Buffer.alloc(126) })]);
+  assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+  assert.equal(run.sent.filter(f => f.op === PONG).length, 0);
+});
+
+test('2.10 every ping of a burst gets its pong', () => {
+  const pings = Array.from({ length: 10 }, (_, i) => frame({ op: PING, payload: `ping ${i}` }));
+  const run = replay(pings, { chunkSize: 7 });
+  assert.deepEqual(run.sent.filter(f => f.op === PONG).map(f => f.payload.toString()), pings.map((_, i) => `ping ${i}`));
+});
+
+test('3.x reserved bits without a negotiated extension fail the connection', () => {
+  for (const rsv of [1, 2, 4, 7]) {
+    const run = replay([frame({ op: TEXT, payload: 'ok' }), frame({ op: TEXT, payload: 'rsv', rsv }), frame({ op: TEXT, payload: 'after' })]);
+    assert.deepEqual(texts(run), ['ok'], `rsv ${rsv}`);
+    assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+  }
+  const close = replay([closeFrame(1000, '', { rsv: 1 })]);
+  assert.equal(close.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+});
+
+test('4.x reserved opcodes fail the connection', () => {
+  for (const op of [3, 4, 5, 6, 7, 0xb, 0xc, 0xd, 0xe, 0xf]) {
+    const run = replay([frame({ op, payload: 'reserved' })]);
+    assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR, `opcode ${op}`);
+    assert.equal(run.messages.length, 0);
+  }
+});
+
+test('5.1-5.2 fragmented control frames are protocol errors', () => {
+  const ping = replay([frame({ op: PING, payload: 'frag', fin: false }), frame({ op: CONT, payload: 'ment' })]);
+  assert.equal(ping.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+  const pong = replay([frame({ op: PONG, payload: 'frag', fin: false })]);
+  assert.equal(pong.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+});
+
+test('5.3-5.5 a fragmented text message is reassembled', () => {
+  const run = replay([
+    frame({ op: TEXT, payload: 'frag', fin: false }),
+    frame({ op: CONT, payload: 'men', fin: false }),
+    frame({ op: CONT, payload: 'ted' }),
+  ], { chunkSize: 3 });
+  assert.deepEqual(texts(run), ['fragmented']);
+  assert.equal(run.closeCode, null);
+});
+
+test('5.6-5.8 a ping between fragments is answered and the message still arrives', () => {
+  const run = replay([
+    frame({ op: TEXT, payload: 'frag', fin: false }),
+    frame({ op: PING, payload: 'middle' }),
+    frame({ op: CONT, payload: 'mented' }),
+  ]);
+  assert.deepEqual(texts(run), ['fragmented']);
+  assert.equal(run.sent.filter(f => f.op === PONG).length, 1);
+});
+
+test('5.9-5.14 a continuation without a message in progress is a protocol error', () => {
+  for (const fin of [true, false]) {
+    const run = replay([frame({ op: CONT, payload: 'orphan', fin }), frame({ op: TEXT, payload: 'text' })]);
+    assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+    assert.equal(run.messages.length, 0);
+  }
+});
+
+test('5.18 a new data frame before the previous message ends is a protocol error', () => {
+  const run = replay([frame({ op: TEXT, payload: 'one', fin: false }), frame({ op: TEXT, payload: 'two' })]);
+  assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+  assert.equal(run.messages.length, 0);
+});
+
+test('5.x fragments are capped by the message size limit', () => {
+  const run = replay([
+    frame({ op: TEXT, payload: 'a'.repeat(40), fin: false }),
+    frame({ op: CONT, payload: 'b'.repeat(40), fin: false }),
+    frame({ op: CONT, payload: 'c'.repeat(40) }),
+  ], { maxPayload: 100 });
+  assert.equal(run.closeCode, CLOSE_CODES.MESSAGE_TOO_BIG);
+  assert.equal(run.messages.length, 0);
+});
+
+test('6.x valid UTF-8 is accepted, also split across fragments', () => {
+  const greek = Buffer.from('κόσμε 🎯', 'utf8');
+  const whole = replay([frame({ op: TEXT, payload: greek })]);
+  assert.deepEqual(texts(whole), ['κόσμε 🎯']);
+  // Cut inside the 4-byte emoji
+  const cut = greek.length - 2;
+  const split = replay([frame({ op: TEXT, payload: greek.subarray(0, cut), fin: false }), frame({ op: CONT, payload: greek.subarray(cut) })]);
+  assert.deepEqual(texts(split), ['κόσμε 🎯']);
+});
+
+test('6.x invalid UTF-8 closes with 1007', () => {
+  const invalid = [
+    [0xff],
+    [0xc0, 0xaf], // overlong '/'
+    [0xed, 0xa0, 0x80], // UTF-16 surrogate
+    [0xf4, 0x90, 0x80, 0x80], // above U+10FFFF
+    [0xce, 0xba, 0xe1], // truncated sequence
+  ];
+  for (const bytes of invalid) {
+    const run = replay([frame({ op: TEXT, payload: Buffer.from(bytes) })]);
+    assert.equal(run.closeCode, CLOSE_CODES.INVALID_PAYLOAD, bytes.join(','));
+    assert.equal(run.messages.length, 0);
+  }
+  const fragmented = replay([frame({ op: TEXT, payload: 'ok', fin: false }), frame({ op: CONT, payload: Buffer.from([0xff]) })]);
+  assert.equal(fragmented.closeCode, CLOSE_CODES.INVALID_PAYLOAD);
+});
+
+test('7.1 a client close is echoed and ends the connection; later frames are ignored', () => {
+  const run = replay([frame({ op: TEXT, payload: 'before' }), closeFrame(1000, 'bye'), frame({ op: TEXT, payload: 'after' })]);
+  assert.deepEqual(texts(run), ['before']);
+  assert.equal(run.closeCode, 1000);
+  assert.equal(run.socket.writableEnded, true);
+  assert.equal(run.connection.state, 'closed');
+});
+
+test('7.3.1 a close without payload is answered with an empty close', () => {
+  const run = replay([closeFrame(null)]);
+  const close = run.sent.find(f => f.op === 0x8);
+  assert.equal(close.payload.length, 0);
+  assert.equal(run.socket.writableEnded, true);
+});
+
+test('7.3.2 a one-byte close payload is a protocol error', () => {
+  const run = replay([frame({ op: 0x8, payload: Buffer.from([0x03]) })]);
+  assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+});
+
+test('7.5.1 a close reason that is not UTF-8 closes with 1007', () => {
+  const run = replay([closeFrame(1000, Buffer.from([0xce, 0xba, 0xff]))]);
+  assert.equal(run.closeCode, CLOSE_CODES.INVALID_PAYLOAD);
+});
+
+test('7.7 valid close codes are echoed', () => {
+  for (const code of [1000, 1001, 1002, 1003, 1007, 1008, 1009, 1010, 1011, 3000, 3999, 4000, 4999]) {
+    assert.equal(replay([closeFrame(code)]).closeCode, code, `code ${code}`);
+  }
+});
+
+test('7.9 invalid close codes are protocol errors', () => {
+  for (const code of [0, 999, 1004, 1005, 1006, 1015, 1016, 1100, 2000, 2999, 5000]) {
+    assert.equal(replay([closeFrame(code)]).closeCode, CLOSE_CODES.PROTOCOL_ERROR, `code ${code}`);
+  }
+});
+
+test('server close: close frame first, nothing else afterwards, TCP ends on the reply', () => {
+  const run = replay([]);
+  run.connection.close(CLOSE_CODES.GOING_AWAY, 'arrêt');
+  assert.equal(run.connection.state, 'closing');
+  sendText(run.socket, 'too late');
+  run.feed(frame({ op: TEXT, payload: 'ignored' }));
+  assert.equal(run.messages.length, 0);
+  assert.deepEqual(run.sent.map(f => f.op), [0x8]);
+  assert.equal(run.sent[0].code, CLOSE_CODES.GOING_AWAY);
+  assert.equal(run.sent[0].payload.subarray(2).toString(), 'arrêt');
+  assert.equal(run.socket.writableEnded, false);
+  run.feed(closeFrame(CLOSE_CODES.GOING_AWAY));
+  assert.equal(run.socket.writableEnded, true);
+  assert.equal(run.sent.length, 1, 'the reply to our close is not answered again');
+});
+
+test('unmasked client frames are protocol errors', () => {
+  const run = replay([frame({ op: TEXT, payload: 'plain', mask: false })]);
+  assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+  assert.equal(run.messages.length, 0);
+});
+
+test('64-bit lengths: most significant bit set is a protocol error', () => {
+  const header = Buffer.from([0x81, 0xff, 0x80, 0, 0, 0, 0, 0, 0, 5]);
+  const run = replay([header]);
+  assert.equal(run.closeCode, CLOSE_CODES.PROTOCOL_ERROR);
+});
+
+test('64-bit lengths: an oversized frame is refused from its header alone', () => {
+  // 5 GB announced, no payload sent
+  const header = Buffer.alloc(10);
+  header[0] = 0x81;
+  header[1] = 0xff;
+  header.writeBigUInt64BE(5n * 1024n ** 3n, 2);
+  const run = replay([header]);
+  assert.equal(run.closeCode, CLOSE_CODES.MESSAGE_TOO_BIG);
+  assert.deepEqual(run.errors.map(e => e.code), [CLOSE_CODES.MESSAGE_TOO_BIG]);
+});
+
+test('64-bit lengths: a short payload with a non-minimal length is still accepted', () => {
+  const payload = Buffer.from('long form');
+  const header = Buffer.alloc(14);
+  header[0] = 0x81;
+  header[1] = 0xff;
+  header.writeBigUInt64BE(BigInt(payload.length), 2);
+  const masked = Buffer.concat([header, payload]); // mask key 0 leaves the payload as is
+  assert.deepEqual(texts(replay([masked])), ['long form']);
+});
+
+test('server frames: lengths past 32 bits are written in full', () => {
+  const header = frameHeader(TEXT, 2 ** 32 + 5);
+  assert.equal(header[1], 127);
+  assert.equal(header.readBigUInt64BE(2), 2n ** 32n + 5n);
+  const frameBytes = encodeFrame(TEXT, Buffer.alloc(70000));
+  assert.equal(frameBytes.readBigUInt64BE(2), 70000n);
+});
+
+test('client frames: masked with a key, read back by the server parser', () => {
+  const bytes = encodeFrame(TEXT, Buffer.from('masqué'), false, true);
+  assert.equal(bytes[1] & 0x80, 0x80);
+  const frames = [];
+  assert.equal(createFrameParser({ maxPayload: 1024, onFrame: (f) => frames.push(f) }).push(bytes), null);
+  assert.equal(frames[0].payload.toString(), 'masqué');
+  // And the client side refuses masked server frames
+  const client = createFrameParser({ maxPayload: 1024, masked: false, onFrame: () => {} });
+  assert.equal(client.push(bytes).code, CLOSE_CODES.PROTOCOL_ERROR);
+});
+
+test('client: connect() talks to a server and closes cleanly', async (t) => {
+  const server = http.createServer((req, res) => res.writeHead(429).end());
+  server.on('upgrade', (req, socket) => {
+    if (req.url === '/full') return socket.end('HTTP/1.1 429 Too Many Requests\r\n\r\n');
+    if (!handshake(req, socket)) return;
+    // Greets right behind the 101, then echoes
+    const connection = createConnection(socket, { maxPayload: 1024, onMessage: (m) => connection.send(m.payload) });
+    connection.send(Buffer.from('bonjour'));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const url = `ws://127.0.0.1:${server.address().port}`;
+
+  const received = [];
+  let closed = null;
+  const connection = await connect(url, {
+    maxPayload: 1024,
+    onMessage: (m) => received.push(m.payload.toString()),
+    onClose: (code) => { closed = code; },
+  });
+  connection.send(Buffer.from('écho'));
+  await waitFor(() => received.length === 2);
+  assert.deepEqual(received, ['bonjour', 'écho']);
+  connection.close(CLOSE_CODES.NORMAL);
+  await waitFor(() => closed !== null);
+  assert.equal(closed, CLOSE_CODES.NORMAL);
+
+  await assert.rejects(connect(`${url}/full`, { maxPayload: 1024, onMessage: () => {} }), { statusCode: 429 });
+});
@@ -0,0 +1,495 @@
+// RFC 6455 WebSocket layer for the server: handshake, frame parsing and writing, and
+// the per-connection state machine (fragment reassembly, ping/pong, close handshake).
+// The only extension is permessage-deflate (deflate.js): when it is negotiated RSV1
+// marks a compressed message, otherwise every RSV bit must be zero.
+// connect() runs the same state machine from the client side, for tools such as bot.js.
+
+const crypto = require('crypto');
+const http = require('http');
+const { negotiateDeflate, createDeflateContext } = require('./deflate');
+
+const OPCODES = Object.freeze({ CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA });
+
+const CLOSE_CODES = Object.freeze({
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  INVALID_PAYLOAD: 1007,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009,
+  INTERNAL_ERROR: 1011,
+});
+
+// A closing peer that never answers our close frame is cut after this long
+const CLOSE_TIMEOUT_MS = 5000;
+const MAX_CONTROL_PAYLOAD = 125;
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** @type {WeakMap<import('net').Socket, Connection>} */
+const connections = new WeakMap();
+
+function createAcceptValue(key) {
+  return crypto
+    .createHash('sha1')
+    .update(key + GUID, 'binary')
+    .digest('base64');
+}
+
+/**
+ * Answers the HTTP upgrade. Compression is enabled when `perMessageDeflate` options are
+ * given and the client offers the extension; other clients get plain frames.
+ * @param {{ perMessageDeflate?: import('./deflate').DeflateOptions | false }} [options]
+ * @returns {{ deflate: import('./deflate').DeflateParams | null } | null}  null (after a 400)
+ *   when the request is not a valid WebSocket handshake
+ */
+function handshake(req, socket, { perMessageDeflate = false } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  const version = req.headers['sec-websocket-version'];
+  const upgrade = (req.headers.upgrade || '').toLowerCase();
+  if (!key || version !== '13' || upgrade !== 'websocket') {
+    socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+    socket.destroy();
+    return null;
+  }
+  const headers = [
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${createAcceptValue(key.toString())}`,
+  ];
+  const deflate = perMessageDeflate ? negotiateDeflate(req.headers['sec-websocket-extensions'], perMessageDeflate) : null;
+  if (deflate) headers.push(`Sec-WebSocket-Extensions: ${deflate.response}`);
+  socket.write(headers.concat('\r\n').join('\r\n'));
+  return { deflate: deflate ? deflate.params : null };
+}
+
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Codes a peer may put in a close frame (1004-1006 and 1015 are reserved for local use)
+function isValidCloseCode(code) {
+  return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999);
+}
+
+/**
+ * @typedef {Object} Frame
+ * @property {number} opcode  TEXT/BINARY for whole (reassembled) messages, or a control opcode
+ * @property {Buffer} payload
+ * @property {boolean} [compressed]  data only: RSV1 was set, the payload is still deflated
+ * @property {number} [code]  CLOSE only: status code, absent when the frame had no payload
+ * @property {string} [reason]  CLOSE only
+ */
+
+/**
+ * @typedef {Object} ParseError
+ * @property {number} code  close code to end the connection with
+ * @property {string} reason
+ */
+
+/**
+ * Incremental parser for client-to-server frames, or server-to-client ones when `masked`
+ * is false. push() takes raw socket bytes and calls
+ * onFrame for each complete message or control frame; it returns the first protocol
+ * violation met (the connection must then be closed), or null.
+ * `maxPayload` caps a single frame and a reassembled message alike. With `compressed`
+ * (permessage-deflate negotiated) RSV1 may start a data message; its text is checked
+ * once inflated, by the caller.
+ */
+function createFrameParser({ maxPayload, compressed = false, masked: expectMasked = true, onFrame }) {
+  let buffer = Buffer.alloc(0);
+  /** @type {{ opcode: number, compressed: boolean, parts: Buffer[], length: number } | null} */
+  let fragmented = null;
+  let failed = null;
+
+  const fail = (code, reason) => (failed = { code, reason });
+
+  /** @returns {ParseError | null} */
+  function push(chunk) {
+    if (failed) return failed;
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+      const byte1 = buffer[offset];
+      const byte2 = buffer[offset + 1];
+      const fin = (byte1 & 0x80) === 0x80;
+      const rsv = byte1 & 0x70;
+      const opcode = byte1 & 0x0f;
+      const masked = (byte2 & 0x80) === 0x80;
+      const isControl = (opcode & 0x08) === 0x08;
+      let payloadLen = byte2 & 0x7f;
+      let headerLen = 2;
+
+      if (!Object.values(OPCODES).includes(opcode)) return fail(CLOSE_CODES.PROTOCOL_ERROR, `opcode réservé ${opcode}`);
+      // RSV1 is only meaningful on the first frame of a message, and only once negotiated
+      const rsv1Allowed = compressed && !isControl && opcode !== OPCODES.CONTINUATION;
+      if (rsv !== 0 && (rsv !== 0x40 || !rsv1Allowed)) return fail(CLOSE_CODES.PROTOCOL_ERROR, 'bits RSV non négociés');
+      // Client frames must be masked, server frames must not (RFC 6455 §5.1)
+      if (masked !== expectMasked) return fail(CLOSE_CODES.PROTOCOL_ERROR, masked ? 'trame serveur masquée' : 'trame client non masquée');
+      if (isControl && (!fin || payloadLen > MAX_CONTROL_PAYLOAD)) {
+        return fail(CLOSE_CODES.PROTOCOL_ERROR, 'trame de contrôle fragmentée ou trop longue');
+      }
+
+      if (payloadLen === 126) {
+        if (buffer.length - offset < 4) break;
+        payloadLen = buffer.readUInt16BE(offset + 2);
+        headerLen = 4;
+      } else if (payloadLen === 127) {
+        if (buffer.length - offset < 10) break;
+        const high = buffer.readUInt32BE(offset + 2);
+        // The most significant bit of a 64-bit length must be 0
+        if (high & 0x80000000) return fail(CLOSE_CODES.PROTOCOL_ERROR, 'longueur de trame invalide');
+        payloadLen = high * 0x100000000 + buffer.readUInt32BE(offset + 6);
+        headerLen = 10;
+      }
+
+      // Refused from the header alone, before any of the payload is buffered
+      if (payloadLen > maxPayload) return fail(CLOSE_CODES.MESSAGE_TOO_BIG, 'trame trop grande');
+      if (opcode === OPCODES.CONTINUATION) {
+        if (!fragmented) return fail(CLOSE_CODES.PROTOCOL_ERROR, 'continuation sans message en cours');
+        if (fragmented.length + payloadLen > maxPayload) return fail(CLOSE_CODES.MESSAGE_TOO_BIG, 'message trop grand');
+      } else if (!isControl && fragmented) {
+        return fail(CLOSE_CODES.PROTOCOL_ERROR, 'nouveau message avant la fin du précédent');
+      }
+
+      const maskLen = masked ? 4 : 0;
+      const totalLen = headerLen + maskLen + payloadLen;
+      if (buffer.length - offset < totalLen) break;
+      const payload = Buffer.from(buffer.subarray(offset + headerLen + maskLen, offset + totalLen));
+      if (masked) applyMask(payload, buffer.subarray(offset + headerLen, offset + headerLen + 4));
+      offset += totalLen;
+
+      const error = isControl ? controlFrame(opcode, payload) : dataFrame(opcode, fin, rsv !== 0, payload);
+      if (error) return fail(error.code, error.reason);
+    }
+    buffer = buffer.subarray(offset);
+    return null;
+  }
+
+  function dataFrame(opcode, fin, rsv1, payload) {
+    if (opcode !== OPCODES.CONTINUATION) {
+      fragmented = { opcode, compressed: rsv1, parts: [], length: 0 };
+    }
+    fragmented.parts.push(payload);
+    fragmented.length += payload.length;
+    if (!fin) return null;
+    const message = { opcode: fragmented.opcode, payload: Buffer.concat(fragmented.parts, fragmented.length) };
+    if (fragmented.compressed) message.compressed = true;
+    fragmented = null;
+    if (message.opcode === OPCODES.TEXT && !message.compressed && !isValidUtf8(message.payload)) {
+      return { code: CLOSE_CODES.INVALID_PAYLOAD, reason: 'texte UTF-8 invalide' };
+    }
+    onFrame(message);
+    return null;
+  }
+
+  function controlFrame(opcode, payload) {
+    if (opcode !== OPCODES.CLOSE) {
+      onFrame({ opcode, payload });
+      return null;
+    }
+    if (payload.length === 1) return { code: CLOSE_CODES.PROTOCOL_ERROR, reason: 'trame de fermeture invalide' };
+    if (payload.length === 0) {
+      onFrame({ opcode, payload });
+      return null;
+    }
+    const code = payload.readUInt16BE(0);
+    if (!isValidCloseCode(code)) return { code: CLOSE_CODES.PROTOCOL_ERROR, reason: `code de fermeture invalide ${code}` };
+    const reasonBytes = payload.subarray(2);
+    if (!isValidUtf8(reasonBytes)) return { code: CLOSE_CODES.INVALID_PAYLOAD, reason: 'raison de fermeture invalide' };
+    onFrame({ opcode, payload, code, reason: reasonBytes.toString('utf8') });
+    return null;
+  }
+
+  return { push };
+}
+
+function applyMask(payload, mask) {
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i & 3];
+  }
+}
+
+// Header of a frame with FIN set, RSV1 for a deflated message. Server frames are never
+// masked; `masked` only sets the bit, the 4-byte key follows the header.
+function frameHeader(opcode, length, compressed = false, masked = false) {
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    // Full 64-bit length (Buffer lengths stay below 2^53)
+    header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+    header.writeUInt32BE(length >>> 0, 6);
+  }
+  header[0] = 0x80 | (compressed ? 0x40 : 0) | opcode;
+  if (masked) header[1] |= 0x80;
+  return header;
+}
+
+// `masked`: a client frame, with a fresh random key as RFC 6455 requires
+function encodeFrame(opcode, payload, compressed = false, masked = false) {
+  if (!masked) return Buffer.concat([frameHeader(opcode, payload.length, compressed), payload]);
+  const key = crypto.randomBytes(4);
+  const body = Buffer.from(payload);
+  applyMask(body, key);
+  return Buffer.concat([frameHeader(opcode, payload.length, compressed, true), key, body]);
+}
+
+function closePayload(code, reason = '') {
+  if (code == null) return Buffer.alloc(0);
+  // A close frame is a control frame: the reason must fit in 123 bytes
+  const reasonBytes = Buffer.from(reason, 'utf8').subarray(0, MAX_CONTROL_PAYLOAD - 2);
+  const payload = Buffer.alloc(2 + reasonBytes.length);
+  payload.writeUInt16BE(code, 0);
+  reasonBytes.copy(payload, 2);
+  return payload;
+}
+
+// Nothing but the closing handshake may follow our close frame
+function sendData(socket, payload, opcode = OPCODES.TEXT) {
+  const connection = connections.get(socket);
+  if (connection) return connection.send(payload, opcode);
+  if (socket.destroyed || socket.writableEnded) return;
+  socket.write(encodeFrame(opcode, payload));
+}
+
+function sendText(socket, text) {
+  sendData(socket, Buffer.from(text));
+}
+
+// Starts the close handshake on a socket; sockets without a Connection are just ended
+function sendClose(socket, code = CLOSE_CODES.NORMAL, reason = '') {
+  const connection = connections.get(socket);
+  if (connection) return connection.close(code, reason);
+  try {
+    socket.write(encodeFrame(OPCODES.CLOSE, closePayload(code, reason)));
+    socket.end();
+  } catch {}
+}
+
+/**
+ * @typedef {Object} Connection
+ * @property {'open' | 'closing' | 'closed'} state
+ * @property {boolean} compressed  permessage-deflate is in use
+ * @property {(payload: Buffer, opcode?: number) => void} send
+ * @property {(code?: number, reason?: string) => void} close
+ */
+
+/**
+ * Runs the protocol on an upgraded socket. onMessage gets whole text/binary messages and
+ * ping/pong frames (pings are answered already); the close handshake is handled here,
+ * onError reports a protocol violation just before the close it causes, and onClose
+ * fires once with the close code, if any.
+ * With `deflate` (the params handshake() agreed on) messages are inflated before
+ * onMessage and the larger outgoing ones deflated. zlib works asynchronously, so frames
+ * then wait in one queue per direction to keep their order.
+ * With `client` the roles are swapped: our frames are masked and the peer's must not be.
+ * @returns {Connection}
+ */
+function createConnection(socket, { maxPayload, deflate = null, client = false, onMessage, onError = () => {}, onClose = () => {} }) {
+  let closeTimer = null;
+  let closeCode = null;
+  let ended = false;
+  const zlibContext = deflate ? createDeflateContext(deflate, { maxPayload }) : null;
+  let inbound = Promise.resolve();
+  let outbound = Promise.resolve();
+
+  const write = (bytes) => {
+    if (socket.destroyed) return;
+    try { socket.write(bytes); } catch {}
+  };
+  const encode = (opcode, payload, compressed = false) => encodeFrame(opcode, payload, compressed, client);
+  // Behind the messages still being compressed, so that nothing follows our close frame
+  const writeInOrder = (bytes) => {
+    if (!zlibContext) return write(bytes);
+    outbound = outbound.then(() => write(bytes));
+  };
+  // Queued steps must not break the queue; a failing handler still surfaces as it would synchronously
+  const rethrow = (error) => process.nextTick(() => { throw error; });
+
+  /** @type {Connection} */
+  const connection = {
+    state: 'open',
+    compressed: !!zlibContext,
+    send(payload, opcode = OPCODES.TEXT) {
+      if (connection.state !== 'open' || socket.destroyed || socket.writableEnded) return;
+      const isControl = (opcode & 0x08) === 0x08;
+      if (!zlibContext || isControl || payload.length < deflate.threshold) return writeInOrder(encode(opcode, payload));
+      outbound = outbound
+        .then(() => (ended ? null : zlibContext.compress(payload)))
+        .then((data) => data && write(encode(opcode, data, true)), () => socket.destroy());
+    },
+    close(code = CLOSE_CODES.NORMAL, reason = '') {
+      if (connection.state !== 'open') return;
+      connection.state = 'closing';
+      closeCode = code;
+      writeInOrder(encode(OPCODES.CLOSE, closePayload(code, reason)));
+      // The peer answers with its own close frame; then we close the TCP connection
+      closeTimer = setTimeout(() => socket.destroy(), CLOSE_TIMEOUT_MS);
+      if (closeTimer.unref) closeTimer.unref();
+    },
+  };
+  connections.set(socket, connection);
+
+  function protocolError(error) {
+    if (connection.state !== 'open') return;
+    onError(error);
+    connection.close(error.code, error.reason);
+  }
+
+  function handleFrame(frame) {
+    if (frame.opcode === OPCODES.CLOSE) return onPeerClose(frame);
+    // After our close frame only the peer's close matters
+    if (connection.state !== 'open') return;
+    if (frame.opcode === OPCODES.PING) write(encode(OPCODES.PONG, frame.payload));
+    onMessage(frame);
+  }
+
+  // Resolves to the plain frame, or to null once the connection is failed
+  function inflate(frame) {
+    if (!frame.compressed || connection.state !== 'open') return frame;
+    const failWith = (code, reason) => {
+      protocolError({ code, reason });
+      return null;
+    };
+    return zlibContext.decompress(frame.payload).then(
+      (payload) => {
+        if (frame.opcode === OPCODES.TEXT && !isValidUtf8(payload)) return failWith(CLOSE_CODES.INVALID_PAYLOAD, 'texte UTF-8 invalide');
+        return { opcode: frame.opcode, payload };
+      },
+      (error) => error.tooBig
+        ? failWith(CLOSE_CODES.MESSAGE_TOO_BIG, 'message trop grand')
+        : failWith(CLOSE_CODES.INVALID_PAYLOAD, 'données compressées invalides'),
+    );
+  }
+
+  const parser = createFrameParser({
+    maxPayload,
+    compressed: !!zlibContext,
+    masked: !client,
+    onFrame(frame) {
+      if (!zlibContext) return handleFrame(frame);
+      inbound = inbound
+        .then(() => inflate(frame))
+        .then((plain) => plain && handleFrame(plain))
+        .catch(rethrow);
+    },
+  });
+
+  function onPeerClose(frame) {
+    if (connection.state === 'open') {
+      // Echo the status code, as the peer started the handshake
+      closeCode = frame.code ?? null;
+      writeInOrder(encode(OPCODES.CLOSE, closePayload(frame.code)));
+    }
+    connection.state = 'closed';
+    clearTimeout(closeTimer);
+    const end = () => { try { socket.end(); } catch {} };
+    if (zlibContext) outbound = outbound.then(end);
+    else end();
+  }
+
+  socket.on('data', (chunk) => {
+    if (connection.state === 'closed') return;
+    const error = parser.push(chunk);
+    // Once the stream is broken only the close timeout or the peer's FIN ends it
+    if (!error) return;
+    // Messages parsed before the violation are still delivered first
+    if (zlibContext) inbound = inbound.then(() => protocolError(error)).catch(rethrow);
+    else protocolError(error);
+  });
+
+  function finish() {
+    if (ended) return;
+    ended = true;
+    connection.state = 'closed';
+    clearTimeout(closeTimer);
+    if (zlibContext) zlibContext.close();
+    onClose(closeCode);
+  }
+  // The peer went away, with or without a close frame: flush what is left and close our side
+  socket.on('end', () => {
+    try { socket.end(); } catch {}
+    finish();
+  });
+  socket.on('close', finish);
+  socket.on('error', () => {
+    socket.destroy();
+    finish();
+  });
+
+  return connection;
+}
+
+/**
+ * Opens a client connection (no extension offered). Resolves once the server has
+ * accepted the upgrade; rejects with `statusCode` set when it answered with anything
+ * else (a 429 from the flood limits, say), or with the network error.
+ * @param {string} url  ws://host:port/path
+ * @param {{ headers?: Object<string, string>, maxPayload: number, onMessage: Function, onError?: Function, onClose?: Function }} options
+ * @returns {Promise<Connection>}
+ */
+function connect(url, { headers = {}, ...options }) {
+  const { hostname, port, pathname, search } = new URL(url);
+  const key = crypto.randomBytes(16).toString('base64');
+  return new Promise((resolve, reject) => {
+    const req = http.get({
+      hostname,
+      port: port || 80,
+      path: pathname + search,
+      headers: {
+        ...headers,
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    req.on('response', (res) => {
+      res.resume();
+      reject(Object.assign(new Error(`HTTP ${res.statusCode}`), { statusCode: res.statusCode }));
+    });
+    req.on('upgrade', (res, socket, head) => {
+      if (res.headers['sec-websocket-accept'] !== createAcceptValue(key)) {
+        socket.destroy();
+        return reject(new Error('Sec-WebSocket-Accept invalide'));
+      }
+      socket.setNoDelay(true);
+      const connection = createConnection(socket, { ...options, client: true });
+      // Frames sent right behind the 101 arrive with it
+      if (head.length) socket.unshift(head);
+      resolve(connection);
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = {
+  OPCODES,
+  CLOSE_CODES,
+  CLOSE_TIMEOUT_MS,
+  createAcceptValue,
+  handshake,
+  createFrameParser,
+  createConnection,
+  connect,
+  frameHeader,
+  encodeFrame,
+  sendData,
+  sendText,
+  sendClose,
+};